@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Device = require('../models/Device');
+const { RequestNonce } = require('../models');
+const { SIGNATURE_TOLERANCE_SECONDS, sign, signaturesMatch } = require('../utils/signing');
 
 // ===================================================================
 // PROTECT ROUTES — JWT authentication
@@ -98,24 +102,126 @@ exports.allowWrite = (req, res, next) => {
 };
 
 // ===================================================================
-// PI API KEY AUTHENTICATION (for Raspberry Pi endpoints)
+// PI DEVICE IDENTIFICATION (for Raspberry Pi endpoints)
 // ===================================================================
-exports.piAuth = (req, res, next) => {
-  const apiKey = req.headers['x-api-key'] || req.query.api_key;
+// A Pi names itself with its device id in X-Device-Id; the signature
+// checked by verifyPiSignature is what proves it. Pis not updated yet
+// may still send their key in X-API-Key (never in the query string, so
+// it stays out of access logs).
+exports.piAuth = async (req, res, next) => {
+  const deviceId = req.headers['x-device-id'];
+  const apiKey = req.headers['x-api-key'];
+
+  if (!deviceId && !apiKey) {
+    return res.status(401).json({
+      success: false,
+      error: 'Device id required (X-Device-Id)',
+    });
+  }
+
+  try {
+    let device;
+    if (!deviceId) {
+      device = await Device.findByKey(apiKey).select('+keyHash').populate('site');
+    } else if (mongoose.isValidObjectId(deviceId)) {
+      device = await Device.findOne({ _id: deviceId, status: 'active' }).select('+keyHash').populate('site');
+    }
+
+    // A key sent along must be the device's own: it unlocks the old secret
+    const keyMatches = !apiKey || (device && device.keyHash === Device.hashKey(apiKey));
+
+    if (!device || !device.site || !keyMatches) {
+      return res.status(403).json({
+        success: false,
+        error: deviceId ? 'Unknown device or API key' : 'Invalid API key',
+      });
+    }
+
+    // Attribute the request to the device and its greenhouse
+    req.device = device;
+    req.site = device.site;
+    // Holding the key, the Pi may still sign with the old secret
+    req.deviceKeyPresented = Boolean(apiKey);
+
+    next();
+  } catch (error) {
+    console.error('Pi authentication failed:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
 
-  if (!apiKey) {
+// ===================================================================
+// PI REQUEST SIGNATURE (HMAC + timestamp + nonce, after piAuth)
+// ===================================================================
+// The Pi signs "<X-Timestamp>.<X-Nonce>.<raw body>" with HMAC-SHA256,
+// keyed with the device's signing secret (or, when it also sent its API
+// key, the SHA-256 of that key it signed with before). Stale timestamps
+// and reused nonces are rejected so a captured request cannot be replayed.
+exports.verifyPiSignature = async (req, res, next) => {
+  const timestamp = req.headers['x-timestamp'];
+  const nonce = req.headers['x-nonce'];
+  const signature = req.headers['x-signature'];
+
+  if (!timestamp || !nonce || !signature) {
     return res.status(401).json({
       success: false,
-      error: 'API key required',
+      error: 'Signed request required (X-Timestamp, X-Nonce, X-Signature)',
     });
   }
 
-  if (apiKey !== process.env.PI_API_KEY) {
-    return res.status(403).json({
+  const age = Math.abs(Date.now() / 1000 - Number(timestamp));
+  if (!/^\d+$/.test(timestamp) || age > SIGNATURE_TOLERANCE_SECONDS) {
+    return res.status(401).json({
+      success: false,
+      error: 'Request timestamp is stale or invalid',
+    });
+  }
+
+  if (!/^[A-Za-z0-9_-]{16,128}$/.test(nonce)) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid nonce',
+    });
+  }
+
+  const body = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const secrets = [req.device.signingSecret()];
+  if (req.deviceKeyPresented) {
+    secrets.push(req.device.keyHash);
+  }
+
+  if (!secrets.some(secret => signaturesMatch(sign(secret, timestamp, nonce, body), signature))) {
+    return res.status(401).json({
+      success: false,
+      error: 'Invalid request signature',
+    });
+  }
+
+  try {
+    // Unique index on (device, nonce) — a duplicate means a replay
+    await RequestNonce.create({ device: req.device._id, nonce });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(401).json({
+        success: false,
+        error: 'Replayed request rejected',
+      });
+    }
+    console.error('Nonce check failed:', error);
+    return res.status(500).json({
       success: false,
-      error: 'Invalid API key',
+      error: 'Server error',
     });
   }
 
+  // Record last-seen without holding up the request
+  Device.updateOne(
+    { _id: req.device._id },
+    { lastSeenAt: new Date(), lastSeenIp: req.ip }
+  ).catch(err => console.error('Failed to update device last-seen:', err.message));
+
   next();
 };
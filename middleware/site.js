@@ -0,0 +1,38 @@
+const Greenhouse = require('../models/Greenhouse');
+
+// ===================================================================
+// RESOLVE SITE — which greenhouse a request is about
+// ===================================================================
+// Accepts a greenhouse id or slug in `?site=`, the `X-Greenhouse-Id`
+// header or a `site` body field. Requests that name no site fall back to
+// the default greenhouse so single-house clients keep working unchanged.
+exports.resolveSite = async (req, res, next) => {
+  const ref = req.query.site || req.headers['x-greenhouse-id'] || (req.body && req.body.site);
+
+  if (ref !== undefined && typeof ref !== 'string') {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid greenhouse reference',
+    });
+  }
+
+  try {
+    const site = ref ? await Greenhouse.findByRef(ref) : await Greenhouse.getDefault();
+
+    if (!site) {
+      return res.status(404).json({
+        success: false,
+        error: 'Greenhouse not found',
+      });
+    }
+
+    req.site = site;
+    next();
+  } catch (error) {
+    console.error('Error resolving greenhouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
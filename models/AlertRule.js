@@ -0,0 +1,103 @@
+const mongoose = require('mongoose');
+const { METRICS, THRESHOLD_FIELDS } = require('../utils/metrics');
+
+// ===================================================================
+// ALERT RULE — Conditions the backend checks on every ingested reading
+// ===================================================================
+
+const AlertRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Rule name is required'],
+    trim: true,
+    maxlength: [80, 'Rule name cannot exceed 80 characters'],
+  },
+  // Greenhouse the rule applies to (none = every greenhouse)
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    index: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  level: {
+    type: String,
+    enum: ['INFO', 'WARNING', 'ERROR', 'CRITICAL'],
+    default: 'WARNING',
+  },
+  metric: {
+    type: String,
+    enum: METRICS,
+    required: true,
+  },
+  // above / below: metric compared to the limit
+  // rise / fall: change per minute over `windowMinutes` compared to the limit
+  condition: {
+    type: String,
+    enum: ['above', 'below', 'rise', 'fall'],
+    required: true,
+  },
+  // Limit: a fixed value, or one of the greenhouse's current thresholds
+  value: Number,
+  thresholdField: {
+    type: String,
+    enum: THRESHOLD_FIELDS,
+  },
+  // Condition must hold this long before the alert fires
+  durationMinutes: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Alert clears only once the metric is this far back inside the limit
+  hysteresis: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Rate rules: period the change is measured over
+  windowMinutes: {
+    type: Number,
+    default: 10,
+    min: 1,
+    max: 60,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+AlertRuleSchema.pre('validate', function(next) {
+  if ((this.value === undefined || this.value === null) === !this.thresholdField) {
+    this.invalidate('value', 'Set either value or thresholdField');
+  }
+  if (['rise', 'fall'].includes(this.condition) && this.thresholdField) {
+    this.invalidate('thresholdField', 'Rate rules need a fixed value (change per minute)');
+  }
+  next();
+});
+
+// Rules created the first time the engine runs
+const DEFAULT_RULES = [
+  { name: 'Temperature above threshold', metric: 'temp', condition: 'above', thresholdField: 'temp_high', durationMinutes: 20, hysteresis: 1, level: 'WARNING' },
+  { name: 'Temperature below threshold', metric: 'temp', condition: 'below', thresholdField: 'temp_low', durationMinutes: 20, hysteresis: 1, level: 'WARNING' },
+  { name: 'Humidity above threshold', metric: 'hum', condition: 'above', thresholdField: 'hum_high', durationMinutes: 30, hysteresis: 3, level: 'WARNING' },
+  { name: 'Humidity below threshold', metric: 'hum', condition: 'below', thresholdField: 'hum_low', durationMinutes: 30, hysteresis: 3, level: 'WARNING' },
+  { name: 'Soil 1 dry', metric: 'soil1', condition: 'below', thresholdField: 'soil1', durationMinutes: 60, hysteresis: 5, level: 'WARNING' },
+  { name: 'Soil 2 dry', metric: 'soil2', condition: 'below', thresholdField: 'soil2', durationMinutes: 60, hysteresis: 5, level: 'WARNING' },
+  { name: 'Rapid temperature rise', metric: 'temp', condition: 'rise', value: 0.5, windowMinutes: 10, level: 'ERROR' },
+];
+
+// Create the default rules if no rule exists yet
+AlertRuleSchema.statics.seedDefaults = async function() {
+  if (await this.exists({})) return;
+  await this.insertMany(DEFAULT_RULES);
+  console.log(`✓ Created ${DEFAULT_RULES.length} default alert rules`);
+};
+
+module.exports = mongoose.model('AlertRule', AlertRuleSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const { METRICS } = require('../utils/metrics');
+
+// ===================================================================
+// ANOMALY — A stretch of readings far from a metric's usual values
+// ===================================================================
+// Written by the anomaly detector (services/anomalies.js). Consecutive
+// anomalous readings of one metric, in the same direction, make up one
+// anomaly; the fields below describe its peak (largest |score|).
+
+const AnomalySchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+  },
+  metric: {
+    type: String,
+    enum: METRICS,
+    required: true,
+  },
+  // open: still anomalous as of the last reading
+  status: {
+    type: String,
+    enum: ['open', 'closed'],
+    default: 'open',
+  },
+  // high: above the baseline, low: below
+  direction: {
+    type: String,
+    enum: ['high', 'low'],
+    required: true,
+  },
+  // z-score at the peak: (value - mean) / std
+  score: {
+    type: Number,
+    required: true,
+  },
+  value: Number,
+  // Baseline of the hour the peak fell in
+  expected: {
+    hour: Number,
+    mean: Number,
+    std: Number,
+  },
+  // |score| needed when it was detected
+  threshold: Number,
+  reading: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reading',
+  },
+  // Anomalous readings so far
+  readings: {
+    type: Number,
+    default: 1,
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+  },
+  lastSeenAt: Date,
+  endedAt: Date,
+
+  // Review. confirmed: a real problem | false_positive: normal, raises
+  // the metric's threshold | expected: explained (e.g. maintenance)
+  label: {
+    type: String,
+    enum: ['confirmed', 'false_positive', 'expected'],
+    default: null,
+  },
+  note: {
+    type: String,
+    maxlength: [500, 'Note cannot exceed 500 characters'],
+  },
+  labeledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  labeledAt: Date,
+}, {
+  timestamps: false,
+});
+
+AnomalySchema.index({ site: 1, startedAt: -1 });
+AnomalySchema.index({ site: 1, metric: 1, label: 1, startedAt: -1 });
+AnomalySchema.index({ startedAt: 1 });
+
+module.exports = mongoose.model('Anomaly', AnomalySchema);
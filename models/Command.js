@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// ===================================================================
+// COMMAND — User actions queued for a greenhouse's Pi
+// ===================================================================
+// queued -> delivered (the Pi fetched it) -> executed | failed
+// Commands not completed before `expiresAt` become `expired`.
+
+const CommandSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+  },
+  // manual_control: { actuator, state, pwm } -> Pi /api/manual
+  // resume_auto:    {}                       -> Pi /api/auto
+  type: {
+    type: String,
+    enum: ['manual_control', 'resume_auto'],
+    required: true,
+  },
+  payload: {
+    type: Object,
+    default: {},
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'delivered', 'executed', 'failed', 'expired'],
+    default: 'queued',
+  },
+  // How it reached the Pi: pushed to its local API or pulled by polling
+  delivery: {
+    type: String,
+    enum: ['push', 'pull'],
+  },
+  // Device that fetched or received it
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+  },
+  result: mongoose.Schema.Types.Mixed,
+  error: String,
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  username: String,
+  deliveredAt: Date,
+  completedAt: Date,
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+CommandSchema.index({ site: 1, status: 1, createdAt: 1 });
+CommandSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('Command', CommandSchema);
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { THRESHOLD_FIELDS } = require('../utils/metrics');
+const { THRESHOLD_RANGES } = require('../utils/thresholdValidation');
+
+// ===================================================================
+// CROP PROFILE — Named threshold presets applied to a greenhouse
+// ===================================================================
+
+const CropProfileSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Profile name is required'],
+    unique: true,
+    trim: true,
+    maxlength: [60, 'Profile name cannot exceed 60 characters'],
+  },
+  description: {
+    type: String,
+    maxlength: [300, 'Description cannot exceed 300 characters'],
+  },
+  // A full threshold set (same fields and units as Threshold)
+  thresholds: Object.fromEntries(THRESHOLD_FIELDS.map(field => [field, {
+    type: Number,
+    required: [true, `${field} is required`],
+    min: [THRESHOLD_RANGES[field][0], `${field} must be at least ${THRESHOLD_RANGES[field][0]}`],
+    max: [THRESHOLD_RANGES[field][1], `${field} cannot exceed ${THRESHOLD_RANGES[field][1]}`],
+  }])),
+  // Part of the built-in library (read-only)
+  builtIn: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+CropProfileSchema.pre('validate', function(next) {
+  const t = this.thresholds || {};
+  if (t.temp_low >= t.temp_high) {
+    this.invalidate('thresholds.temp_low', 'temp_low must be below temp_high');
+  }
+  if (t.hum_low >= t.hum_high) {
+    this.invalidate('thresholds.hum_low', 'hum_low must be below hum_high');
+  }
+  next();
+});
+
+// Built-in library: soil moisture and humidity in %, temperature in °C,
+// NPK targets in the units the Pi reports
+const BUILT_IN_PROFILES = [
+  {
+    name: 'Lettuce',
+    description: 'Cool-season leafy green; keep soil evenly moist',
+    thresholds: { soil1: 70, soil2: 70, temp_high: 24, temp_low: 10, hum_high: 70, hum_low: 50, npk_n: 30, npk_p: 15, npk_k: 25 },
+  },
+  {
+    name: 'Spinach',
+    description: 'Cool-season leafy green, bolts in heat',
+    thresholds: { soil1: 70, soil2: 70, temp_high: 22, temp_low: 8, hum_high: 75, hum_low: 50, npk_n: 35, npk_p: 15, npk_k: 25 },
+  },
+  {
+    name: 'Tomato',
+    description: 'Warm-season fruiting crop; high potassium while fruiting',
+    thresholds: { soil1: 60, soil2: 60, temp_high: 29, temp_low: 18, hum_high: 80, hum_low: 50, npk_n: 25, npk_p: 30, npk_k: 40 },
+  },
+  {
+    name: 'Cucumber',
+    description: 'Warm, humid conditions and steady moisture',
+    thresholds: { soil1: 70, soil2: 70, temp_high: 30, temp_low: 18, hum_high: 85, hum_low: 60, npk_n: 25, npk_p: 20, npk_k: 35 },
+  },
+  {
+    name: 'Bell Pepper',
+    description: 'Warm-season fruiting crop, moderate humidity',
+    thresholds: { soil1: 65, soil2: 65, temp_high: 30, temp_low: 18, hum_high: 70, hum_low: 50, npk_n: 25, npk_p: 25, npk_k: 35 },
+  },
+  {
+    name: 'Strawberry',
+    description: 'Mild temperatures; avoid waterlogged soil',
+    thresholds: { soil1: 65, soil2: 65, temp_high: 26, temp_low: 12, hum_high: 80, hum_low: 60, npk_n: 20, npk_p: 25, npk_k: 35 },
+  },
+  {
+    name: 'Basil',
+    description: 'Warm herb, sensitive to cold',
+    thresholds: { soil1: 60, soil2: 60, temp_high: 30, temp_low: 18, hum_high: 70, hum_low: 40, npk_n: 30, npk_p: 15, npk_k: 25 },
+  },
+];
+
+// Add built-in profiles that don't exist yet
+CropProfileSchema.statics.seedBuiltIns = async function() {
+  const existing = await this.find({ name: { $in: BUILT_IN_PROFILES.map(p => p.name) } }).distinct('name');
+  const missing = BUILT_IN_PROFILES.filter(p => !existing.includes(p.name));
+  if (missing.length === 0) return;
+
+  await this.insertMany(missing.map(p => ({ ...p, builtIn: true })));
+  console.log(`✓ Created ${missing.length} built-in crop profiles`);
+};
+
+module.exports = mongoose.model('CropProfile', CropProfileSchema);
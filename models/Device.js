@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { deviceSecret } = require('../utils/signing');
+
+const DeviceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Device name is required'],
+    trim: true,
+    maxlength: [60, 'Device name cannot exceed 60 characters'],
+  },
+  // Greenhouse this Pi reports for
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+    index: true,
+  },
+  // SHA-256 of the API key — the key itself is only shown once
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+    select: false,
+  },
+  // First characters of the key so admins can tell keys apart
+  keyPrefix: String,
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active',
+  },
+  lastSeenAt: Date,
+  lastSeenIp: String,
+  // Last time the Pi polled for queued commands
+  lastCommandPollAt: Date,
+  enrolledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  keyRotatedAt: Date,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Hash an API key for storage / lookup. Keys are long random strings, so a
+// fast hash is enough (unlike user passwords).
+DeviceSchema.statics.hashKey = function(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+};
+
+// Find the active device owning an API key
+DeviceSchema.statics.findByKey = function(key) {
+  return this.findOne({ keyHash: this.hashKey(key), status: 'active' });
+};
+
+// Enroll the single shared PI_API_KEY of installs from before the device
+// registry as a device of the default greenhouse, so the Pi already in the
+// field keeps its key. A device with that key (even revoked) is left as is.
+DeviceSchema.statics.enrollLegacyKey = async function(key) {
+  if (!key) return null;
+  const keyHash = this.hashKey(key);
+
+  const existing = await this.findOne({ keyHash });
+  if (existing) return existing;
+
+  const site = await mongoose.model('Greenhouse').getDefault();
+  try {
+    const device = await this.create({
+      name: 'legacy-pi',
+      site: site._id,
+      keyHash,
+      keyPrefix: String(key).slice(0, 12),
+      keyRotatedAt: new Date(),
+    });
+    console.log(`✓ Enrolled the PI_API_KEY Pi as device ${device._id} (${site.slug})`);
+    return device;
+  } catch (error) {
+    // Another instance enrolled it first
+    if (error.code === 11000) return this.findOne({ keyHash });
+    throw error;
+  }
+};
+
+// Generate a fresh API key, store its hash and return the plain key
+DeviceSchema.methods.issueKey = function() {
+  const key = `ghd_${crypto.randomBytes(24).toString('hex')}`;
+  this.keyHash = this.constructor.hashKey(key);
+  this.keyPrefix = key.slice(0, 12);
+  this.keyRotatedAt = new Date();
+  return key;
+};
+
+// Secret this device signs its requests with (needs `+keyHash`)
+DeviceSchema.methods.signingSecret = function() {
+  return deviceSecret(this.keyHash);
+};
+
+// Safe device object (no key hash)
+DeviceSchema.methods.toSafeObject = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    site: this.site,
+    keyPrefix: this.keyPrefix,
+    status: this.status,
+    lastSeenAt: this.lastSeenAt,
+    lastSeenIp: this.lastSeenIp,
+    keyRotatedAt: this.keyRotatedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt,
+  };
+};
+
+module.exports = mongoose.model('Device', DeviceSchema);
@@ -0,0 +1,107 @@
+const mongoose = require('mongoose');
+
+// Whether Intl knows a timezone (it throws on unknown ones)
+const isTimeZone = (value) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const GreenhouseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [60, 'Name cannot exceed 60 characters'],
+  },
+  // Short identifier used in URLs, headers and Socket.IO rooms
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9-]{2,40}$/, 'Slug may only contain lowercase letters, digits and dashes'],
+  },
+  description: String,
+  location: String,
+  // IANA zone (e.g. Europe/Berlin); schedules, stats and reports use it
+  timezone: {
+    type: String,
+    default: 'UTC',
+    validate: {
+      validator: isTimeZone,
+      message: props => `${props.value} is not a valid IANA timezone`,
+    },
+  },
+  // Pi's local API (port forwarding / tunnel). Falls back to PI_BASE_URL
+  // for the default greenhouse only.
+  piBaseUrl: String,
+  isDefault: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// Collections that carry a `site` field and predate multi-greenhouse support
+const SITE_SCOPED_MODELS = ['Reading', 'Event', 'SystemAlert', 'Threshold', 'PiStatus'];
+
+// Get (or create) the default greenhouse. The first time it is created,
+// documents written before sites existed are attached to it.
+GreenhouseSchema.statics.getDefault = async function() {
+  const existing = await this.findOne({ isDefault: true });
+  if (existing) return existing;
+
+  let result;
+  try {
+    result = await this.findOneAndUpdate(
+      { isDefault: true },
+      { $setOnInsert: { name: 'Main Greenhouse', slug: 'main' } },
+      { upsert: true, new: true, setDefaultsOnInsert: true, includeResultMetadata: true }
+    );
+  } catch (error) {
+    // A concurrent first call created it (slug `main` is unique)
+    const created = error.code === 11000 && await this.findOne({ isDefault: true });
+    if (created) return created;
+    throw error;
+  }
+
+  const greenhouse = result.value;
+  if (!result.lastErrorObject.updatedExisting) {
+    for (const name of SITE_SCOPED_MODELS) {
+      if (mongoose.modelNames().includes(name)) {
+        await mongoose.model(name).updateMany(
+          { site: { $exists: false } },
+          { $set: { site: greenhouse._id } }
+        );
+      }
+    }
+  }
+  return greenhouse;
+};
+
+// Look up a greenhouse by ObjectId or slug
+GreenhouseSchema.statics.findByRef = function(ref) {
+  if (mongoose.isValidObjectId(ref)) {
+    return this.findById(ref);
+  }
+  return this.findOne({ slug: String(ref).toLowerCase() });
+};
+
+// Base URL of this greenhouse's Pi, or null if none is configured
+GreenhouseSchema.methods.getPiBaseUrl = function() {
+  if (this.piBaseUrl) return this.piBaseUrl;
+  if (this.isDefault) return process.env.PI_BASE_URL || 'http://localhost:5000';
+  return null;
+};
+
+module.exports = mongoose.model('Greenhouse', GreenhouseSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+// ===================================================================
+// INTERLOCK — Safety rules manual control must respect
+// ===================================================================
+// One rule set per greenhouse. Each rule belongs to one actuator and
+// limits how long it may run, how long it must rest between runs, which
+// actuators must be on while it is, and (pumps) how wet the soil may be
+// before it cannot be switched on.
+
+const ACTUATORS = [
+  'pump_water', 'pump_nutrient',
+  'fan_exhaust', 'peltier',
+  'fan_peltier_hot', 'fan_peltier_cold'
+];
+const PUMPS = ['pump_water', 'pump_nutrient'];
+
+const RuleSchema = new mongoose.Schema({
+  actuator: {
+    type: String,
+    enum: { values: ACTUATORS, message: 'Unknown actuator {VALUE}' },
+    required: [true, 'Rule actuator is required'],
+  },
+  // Longest continuous manual run (seconds, none = unlimited)
+  maxRunSeconds: {
+    type: Number,
+    min: [1, 'maxRunSeconds must be at least 1'],
+    max: [86400, 'maxRunSeconds cannot exceed 86400'],
+  },
+  // Rest after a run before it may be switched on again (seconds)
+  minOffSeconds: {
+    type: Number,
+    min: [0, 'minOffSeconds cannot be negative'],
+    max: [86400, 'minOffSeconds cannot exceed 86400'],
+  },
+  // Actuators that must be on while this one is
+  requires: [{
+    type: String,
+    enum: { values: ACTUATORS, message: 'Unknown actuator {VALUE}' },
+  }],
+  // Pumps only: refuse to switch on at or above this soil moisture (%)
+  soilCutoff: {
+    type: Number,
+    min: [0, 'soilCutoff must be at least 0'],
+    max: [100, 'soilCutoff cannot exceed 100'],
+  },
+}, {
+  _id: false,
+});
+
+// Rules a greenhouse starts with
+const DEFAULT_RULES = [
+  { actuator: 'pump_water', maxRunSeconds: 300, minOffSeconds: 60, soilCutoff: 85 },
+  { actuator: 'pump_nutrient', maxRunSeconds: 120, minOffSeconds: 300, soilCutoff: 85 },
+  { actuator: 'peltier', maxRunSeconds: 3600, minOffSeconds: 120, requires: ['fan_peltier_hot'] },
+];
+
+const InterlockSchema = new mongoose.Schema({
+  // One rule set per greenhouse
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+    unique: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  rules: {
+    type: [RuleSchema],
+    default: () => DEFAULT_RULES,
+  },
+  // Soil cut-offs need a reading at most this old (seconds)
+  readingMaxAgeSeconds: {
+    type: Number,
+    default: 600,
+    min: [30, 'readingMaxAgeSeconds must be at least 30'],
+    max: [86400, 'readingMaxAgeSeconds cannot exceed 86400'],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+InterlockSchema.pre('validate', function(next) {
+  const actuators = this.rules.map(rule => rule.actuator);
+  if (new Set(actuators).size !== actuators.length) {
+    this.invalidate('rules', 'An actuator can only have one rule');
+  }
+  this.rules.forEach((rule, i) => {
+    if (rule.requires.includes(rule.actuator)) {
+      this.invalidate(`rules.${i}.requires`, `${rule.actuator} cannot require itself`);
+    }
+    if (rule.soilCutoff != null && !PUMPS.includes(rule.actuator)) {
+      this.invalidate(`rules.${i}.soilCutoff`, `Soil cut-offs only apply to ${PUMPS.join(' and ')}`);
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.model('Interlock', InterlockSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// ===================================================================
+// MANUAL OVERRIDE — An actuator held in manual control
+// ===================================================================
+// Started by a manual_control command. Timed overrides (`endsAt`) are
+// reverted by the backend when they run out; the others last until
+// automatic mode is resumed or the actuator is controlled again. A timed
+// override's clock starts when the Pi confirms its command.
+
+const ManualOverrideSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+  },
+  actuator: {
+    type: String,
+    required: true,
+  },
+  state: Boolean,
+  pwm: Number,
+  // Command that started it
+  command: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Command',
+  },
+  // active -> expired (ran out and reverted) | ended (auto mode resumed)
+  //         | replaced (actuator controlled again) | cancelled (the Pi
+  //         reported its command failed)
+  status: {
+    type: String,
+    enum: ['active', 'expired', 'ended', 'replaced', 'cancelled'],
+    default: 'active',
+  },
+  // Length of a timed override (none = until ended by hand)
+  durationSeconds: Number,
+  // When it runs out: set once the Pi confirms the command, or when the
+  // command expires unconfirmed
+  endsAt: Date,
+  // What happens when it runs out: resume automatic mode, or switch the
+  // actuator off
+  onExpiry: {
+    type: String,
+    enum: ['auto', 'off'],
+    default: 'auto',
+  },
+  // Override this one replaced, restored if its command fails
+  replaces: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ManualOverride',
+  },
+  // Command sent when it ran out
+  revertCommand: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Command',
+  },
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  username: String,
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // When the actuator was switched on, carried over while overrides that
+  // keep it on replace each other (interlock run-time limits)
+  runStartedAt: Date,
+  endedAt: Date,
+}, {
+  timestamps: false,
+});
+
+ManualOverrideSchema.index({ site: 1, status: 1 });
+ManualOverrideSchema.index({ status: 1, endsAt: 1 });
+
+module.exports = mongoose.model('ManualOverride', ManualOverrideSchema);
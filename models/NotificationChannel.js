@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+const validator = require('validator');
+
+// ===================================================================
+// NOTIFICATION CHANNEL — Where alerts are sent outside the dashboard
+// ===================================================================
+
+const CHANNEL_TYPES = ['email', 'webhook', 'slack', 'discord'];
+
+const NotificationChannelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Channel name is required'],
+    trim: true,
+    maxlength: [60, 'Channel name cannot exceed 60 characters'],
+  },
+  type: {
+    type: String,
+    enum: CHANNEL_TYPES,
+    required: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  // Alert levels routed to this channel
+  levels: {
+    type: [{ type: String, enum: ['INFO', 'WARNING', 'ERROR', 'CRITICAL'] }],
+    default: ['ERROR', 'CRITICAL'],
+  },
+  // Greenhouses whose alerts are sent (empty = all)
+  sites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+  }],
+  // email: addresses to send to
+  recipients: [{
+    type: String,
+    trim: true,
+    lowercase: true,
+    validate: [validator.isEmail, 'Invalid recipient email'],
+  }],
+  // webhook / slack / discord: URL to POST to
+  url: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (url) => validator.isURL(url, { protocols: ['http', 'https'], require_protocol: true, require_tld: false }),
+      message: 'Invalid URL (http or https required)',
+    },
+  },
+  // webhook: optional secret to HMAC-sign payloads with
+  secret: {
+    type: String,
+    select: false,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+NotificationChannelSchema.pre('validate', function(next) {
+  if (this.type === 'email' && this.recipients.length === 0) {
+    this.invalidate('recipients', 'Email channels need at least one recipient');
+  }
+  if (this.type !== 'email' && !this.url) {
+    this.invalidate('url', `${this.type} channels need a URL`);
+  }
+  next();
+});
+
+// Channel as returned by the API (whether a secret is set, not the secret)
+NotificationChannelSchema.methods.toSafeObject = function() {
+  const obj = this.toObject();
+  delete obj.secret;
+  obj.signed = Boolean(this.secret);
+  return obj;
+};
+
+module.exports = mongoose.model('NotificationChannel', NotificationChannelSchema);
@@ -1,6 +1,24 @@
 const mongoose = require('mongoose');
+const { QUALITY_FLAGS } = require('../utils/readingValidation');
 
 const ReadingSchema = new mongoose.Schema({
+  // Greenhouse this reading belongs to
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    index: true,
+  },
+  // Pi that sent it
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+  },
+
+  // Stable id assigned by the Pi so re-delivered readings are ignored
+  reading_id: String,
+  // Upload batch the reading arrived in (if the Pi sent one)
+  batch_id: String,
+
   // Temperature & Humidity
   temp: {
     type: Number,
@@ -54,6 +72,13 @@ const ReadingSchema = new mongoose.Schema({
     manual_override: Boolean,
   },
   
+  // Data-quality flags set on ingestion (empty = clean)
+  quality: {
+    type: [{ type: String, enum: QUALITY_FLAGS }],
+    index: true,
+  },
+  quality_details: [String],
+
   // Timestamp from Arduino (if available)
   recorded_at: {
     type: Date,
@@ -71,23 +96,52 @@ const ReadingSchema = new mongoose.Schema({
 
 // Index for efficient 24-hour queries
 ReadingSchema.index({ received_at: -1 });
+ReadingSchema.index({ site: 1, received_at: -1 });
+
+// Re-delivering a reading with the same id is a no-op
+ReadingSchema.index(
+  { site: 1, reading_id: 1 },
+  { unique: true, partialFilterExpression: { reading_id: { $type: 'string' } } }
+);
+
+// Insert readings, skipping ones already stored under the same reading_id.
+// Resolves to { inserted, duplicateIndexes } (indexes into `docs`).
+ReadingSchema.statics.insertIdempotent = async function(docs) {
+  try {
+    const inserted = await this.insertMany(docs, { ordered: false });
+    return { inserted, duplicateIndexes: [] };
+  } catch (error) {
+    if (!error.writeErrors) throw error;
+
+    const duplicateIndexes = [];
+    for (const writeError of error.writeErrors) {
+      const code = writeError.code || (writeError.err && writeError.err.code);
+      if (code !== 11000) throw error;
+      duplicateIndexes.push(writeError.index);
+    }
+    return { inserted: error.insertedDocs || [], duplicateIndexes };
+  }
+};
 
-// Static method to get 24-hour data
-ReadingSchema.statics.getLast24Hours = function() {
+// Static method to get 24-hour data for a greenhouse
+// (`filter` narrows it further, e.g. by quality)
+ReadingSchema.statics.getLast24Hours = function(siteId, filter = {}) {
   const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-  return this.find({ received_at: { $gte: twentyFourHoursAgo } })
+  return this.find({ ...filter, site: siteId, received_at: { $gte: twentyFourHoursAgo } })
     .sort({ received_at: 1 })
     .lean();
 };
 
-// Static method to get data for a specific date
-ReadingSchema.statics.getByDate = function(dateStr) {
+// Static method to get a greenhouse's data for a specific date
+ReadingSchema.statics.getByDate = function(siteId, dateStr, filter = {}) {
   const start = new Date(dateStr);
   start.setHours(0, 0, 0, 0);
   const end = new Date(dateStr);
   end.setHours(23, 59, 59, 999);
   
   return this.find({
+    ...filter,
+    site: siteId,
     received_at: { $gte: start, $lte: end }
   }).sort({ received_at: 1 }).lean();
 };
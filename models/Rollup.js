@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const { METRICS } = require('../utils/metrics');
+
+// ===================================================================
+// READING ROLLUPS — Downsampled history, one collection per resolution
+// ===================================================================
+
+// Bucket size of each rollup tier in milliseconds
+const RESOLUTIONS = {
+  '1m': 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000,
+  '1d': 24 * 60 * 60 * 1000,
+};
+
+// Sensor metrics summarised per bucket
+const ROLLUP_METRICS = METRICS;
+
+// Actuators whose duty cycle (fraction of samples ON) is tracked
+const DUTY_ACTUATORS = ['pump_water', 'pump_nutrient', 'fan_exhaust', 'fan_peltier_hot', 'fan_peltier_cold', 'peltier'];
+
+const StatsSchema = new mongoose.Schema({
+  min: Number,
+  max: Number,
+  avg: Number,
+  count: Number, // Samples that had a value (NPK is often missing)
+  sumSq: Number, // Sum of their squares (spread of the raw samples)
+}, { _id: false });
+
+const RollupSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+  },
+  // Start of the bucket (UTC)
+  bucket: {
+    type: Date,
+    required: true,
+  },
+  // Readings summarised in this bucket
+  count: Number,
+  metrics: Object.fromEntries(ROLLUP_METRICS.map(m => [m, StatsSchema])),
+  // Fraction of the bucket each actuator was on (0..1)
+  duty: Object.fromEntries(DUTY_ACTUATORS.map(a => [a, Number])),
+  peltier_pwm_avg: Number,
+}, {
+  timestamps: false,
+  versionKey: false,
+});
+
+// One document per greenhouse and bucket (also the $merge key)
+RollupSchema.index({ site: 1, bucket: 1 }, { unique: true });
+RollupSchema.index({ bucket: 1 });
+
+const models = Object.fromEntries(Object.keys(RESOLUTIONS).map(resolution => [
+  resolution,
+  mongoose.model(`ReadingRollup${resolution}`, RollupSchema, `reading_rollups_${resolution}`),
+]));
+
+// Rollup model of a resolution ('1m', '15m', '1h', '1d')
+const getRollupModel = (resolution) => models[resolution];
+
+module.exports = {
+  RESOLUTIONS,
+  ROLLUP_METRICS,
+  DUTY_ACTUATORS,
+  getRollupModel,
+};
@@ -0,0 +1,158 @@
+const mongoose = require('mongoose');
+const { METRICS, THRESHOLD_FIELDS } = require('../utils/metrics');
+
+// ===================================================================
+// SCHEDULE — Actuator runs on a weekly calendar or a fixed interval
+// ===================================================================
+// Each run switches the actuator for `durationSeconds` as a timed manual
+// override, unless a skip condition holds on the latest reading or an
+// interlock blocks it. Times are in the greenhouse timezone.
+
+const ACTUATORS = [
+  'pump_water', 'pump_nutrient',
+  'fan_exhaust', 'peltier',
+  'fan_peltier_hot', 'fan_peltier_cold'
+];
+const PWM_ACTUATORS = ['fan_exhaust', 'peltier'];
+
+// weekly:   on `days` (0 = Sunday, none = every day) at each of `times`
+// interval: every `everyMinutes`, counted from when it was enabled
+const RuleSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: { values: ['weekly', 'interval'], message: 'Rule kind must be weekly or interval' },
+    required: [true, 'Rule kind is required'],
+  },
+  days: [{
+    type: Number,
+    min: [0, 'Days run from 0 (Sunday) to 6 (Saturday)'],
+    max: [6, 'Days run from 0 (Sunday) to 6 (Saturday)'],
+  }],
+  times: [{
+    type: String,
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Times must be HH:MM (24h)'],
+  }],
+  everyMinutes: {
+    type: Number,
+    min: [1, 'everyMinutes must be at least 1'],
+    max: [10080, 'everyMinutes cannot exceed 10080 (one week)'],
+  },
+}, {
+  _id: false,
+});
+
+// Skip the run while the metric is above / below a fixed value or one of
+// the greenhouse's current thresholds
+const SkipConditionSchema = new mongoose.Schema({
+  metric: {
+    type: String,
+    enum: { values: METRICS, message: 'Unknown metric {VALUE}' },
+    required: [true, 'Skip condition metric is required'],
+  },
+  condition: {
+    type: String,
+    enum: { values: ['above', 'below'], message: 'Skip condition must be above or below' },
+    required: [true, 'Skip condition is required'],
+  },
+  value: Number,
+  thresholdField: {
+    type: String,
+    enum: { values: THRESHOLD_FIELDS, message: 'Unknown threshold field {VALUE}' },
+  },
+}, {
+  _id: false,
+});
+
+const ScheduleSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+    index: true,
+  },
+  name: {
+    type: String,
+    required: [true, 'Schedule name is required'],
+    trim: true,
+    maxlength: [60, 'Schedule name cannot exceed 60 characters'],
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  actuator: {
+    type: String,
+    enum: { values: ACTUATORS, message: 'Unknown actuator {VALUE}' },
+    required: [true, 'Actuator is required'],
+  },
+  state: {
+    type: Boolean,
+    default: true,
+  },
+  // fan_exhaust and peltier only
+  pwm: {
+    type: Number,
+    min: [0, 'pwm must be between 0 and 255'],
+    max: [255, 'pwm must be between 0 and 255'],
+  },
+  // How long each run holds the actuator
+  durationSeconds: {
+    type: Number,
+    required: [true, 'durationSeconds is required'],
+    min: [1, 'durationSeconds must be at least 1'],
+    max: [86400, 'durationSeconds cannot exceed 86400'],
+  },
+  // After a run: resume automatic mode, or switch the actuator off
+  onExpiry: {
+    type: String,
+    enum: { values: ['auto', 'off'], message: 'onExpiry must be auto or off' },
+    default: 'auto',
+  },
+  rule: {
+    type: RuleSchema,
+    required: [true, 'Rule is required'],
+  },
+  skipIf: [SkipConditionSchema],
+  // Next due run (none while disabled)
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastStatus: String,
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+ScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+ScheduleSchema.pre('validate', function(next) {
+  const rule = this.rule;
+  if (rule && rule.kind === 'weekly') {
+    if (rule.times.length === 0) {
+      this.invalidate('rule.times', 'Weekly rules need at least one time');
+    }
+    if (new Set(rule.times).size !== rule.times.length) {
+      this.invalidate('rule.times', 'Times cannot repeat');
+    }
+  }
+  if (rule && rule.kind === 'interval' && !rule.everyMinutes) {
+    this.invalidate('rule.everyMinutes', 'Interval rules need everyMinutes');
+  }
+  if (this.pwm != null && !PWM_ACTUATORS.includes(this.actuator)) {
+    this.invalidate('pwm', `pwm only applies to ${PWM_ACTUATORS.join(' and ')}`);
+  }
+  this.skipIf.forEach((skip, i) => {
+    if ((skip.value === undefined || skip.value === null) === !skip.thresholdField) {
+      this.invalidate(`skipIf.${i}.value`, 'Skip conditions need either value or thresholdField');
+    }
+  });
+  next();
+});
+
+module.exports = mongoose.model('Schedule', ScheduleSchema);
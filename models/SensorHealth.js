@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// ===================================================================
+// SENSOR HEALTH — Latest verdict on each sensor of a greenhouse
+// ===================================================================
+// Written by the sensor health job (services/sensorHealth.js).
+// ok | suspect (soil probes disagree) | faulty | unknown (too little
+// recent data to judge)
+
+const SENSORS = ['temp', 'hum', 'soil1', 'soil2', 'dht11', 'dht22', 'npk'];
+
+const IssueSchema = new mongoose.Schema({
+  // flatline: same value for the whole window
+  // missing: readings arrive without this sensor
+  // failing: the sensor reported ok: false for the whole window
+  // divergence: soil1 and soil2 apart by more than the limit
+  check: {
+    type: String,
+    enum: ['flatline', 'missing', 'failing', 'divergence'],
+    required: true,
+  },
+  message: String,
+  // Start of the data that showed it
+  since: Date,
+}, {
+  _id: false,
+});
+
+const SensorHealthSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+  },
+  sensor: {
+    type: String,
+    enum: SENSORS,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['ok', 'suspect', 'faulty', 'unknown'],
+    default: 'unknown',
+  },
+  issues: [IssueSchema],
+  // When the status last changed
+  statusSince: {
+    type: Date,
+    default: Date.now,
+  },
+  lastValue: mongoose.Schema.Types.Mixed,
+  // Last reading that carried this sensor
+  lastSeenAt: Date,
+  checkedAt: Date,
+  // Open alert while suspect or faulty
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SystemAlert',
+  },
+}, {
+  timestamps: false,
+});
+
+SensorHealthSchema.index({ site: 1, sensor: 1 }, { unique: true });
+
+module.exports = mongoose.model('SensorHealth', SensorHealthSchema);
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const { THRESHOLD_FIELDS } = require('../utils/metrics');
+const { THRESHOLD_RANGES } = require('../utils/thresholdValidation');
+
+// ===================================================================
+// THRESHOLD SCHEDULE — Growth stages and day/night threshold sets
+// ===================================================================
+// A greenhouse's thresholds at any moment are the active stage's values
+// (its crop profile, then its own overrides) with the active daily
+// slot's values on top. Dates and times are in the greenhouse timezone.
+
+// Partial threshold set: only the fields given are changed
+const thresholdValues = Object.fromEntries(THRESHOLD_FIELDS.map(field => [field, {
+  type: Number,
+  min: [THRESHOLD_RANGES[field][0], `${field} must be at least ${THRESHOLD_RANGES[field][0]}`],
+  max: [THRESHOLD_RANGES[field][1], `${field} cannot exceed ${THRESHOLD_RANGES[field][1]}`],
+}]));
+
+const hasValues = (values) => THRESHOLD_FIELDS.some(field => values && typeof values[field] === 'number');
+
+const StageSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Stage name is required'],
+    trim: true,
+    maxlength: [40, 'Stage name cannot exceed 40 characters'],
+  },
+  // First day of the stage (YYYY-MM-DD); it lasts until the next stage
+  startDate: {
+    type: String,
+    required: [true, 'Stage start date is required'],
+    match: [/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/, 'Stage start date must be YYYY-MM-DD'],
+  },
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CropProfile',
+  },
+  thresholds: thresholdValues,
+});
+
+const SlotSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Slot name is required'],
+    trim: true,
+    maxlength: [40, 'Slot name cannot exceed 40 characters'],
+  },
+  // Time of day the slot starts (HH:MM); it lasts until the next slot
+  time: {
+    type: String,
+    required: [true, 'Slot time is required'],
+    match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Slot time must be HH:MM (24h)'],
+  },
+  thresholds: thresholdValues,
+});
+
+const ThresholdScheduleSchema = new mongoose.Schema({
+  // One schedule per greenhouse
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+    unique: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  stages: [StageSchema],
+  dailySlots: [SlotSchema],
+  // Stage/slot combination last applied ("<stage>|<slot>"), so each
+  // switch is applied once and manual edits last until the next one
+  lastAppliedKey: String,
+  lastAppliedAt: Date,
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+ThresholdScheduleSchema.pre('validate', function(next) {
+  const dates = this.stages.map(stage => stage.startDate);
+  if (new Set(dates).size !== dates.length) {
+    this.invalidate('stages', 'Two stages cannot start on the same date');
+  }
+  this.stages.forEach((stage, i) => {
+    if (!stage.profile && !hasValues(stage.thresholds)) {
+      this.invalidate(`stages.${i}.thresholds`, `Stage ${stage.name} needs a crop profile or threshold values`);
+    }
+  });
+
+  const times = this.dailySlots.map(slot => slot.time);
+  if (new Set(times).size !== times.length) {
+    this.invalidate('dailySlots', 'Two daily slots cannot start at the same time');
+  }
+  this.dailySlots.forEach((slot, i) => {
+    if (!hasValues(slot.thresholds)) {
+      this.invalidate(`dailySlots.${i}.thresholds`, `Slot ${slot.name} needs threshold values`);
+    }
+  });
+  next();
+});
+
+// Keep stages and slots in the order they take effect
+ThresholdScheduleSchema.pre('save', function(next) {
+  this.stages.sort((a, b) => a.startDate.localeCompare(b.startDate));
+  this.dailySlots.sort((a, b) => a.time.localeCompare(b.time));
+  next();
+});
+
+module.exports = mongoose.model('ThresholdSchedule', ThresholdScheduleSchema);
@@ -4,6 +4,16 @@ const mongoose = require('mongoose');
 // EVENT MODEL — Automation events (pump on/off, fan changes, etc.)
 // ===================================================================
 const EventSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    index: true,
+  },
+  // Pi that sent it
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+  },
   event: {
     type: String,
     required: true,
@@ -24,15 +34,16 @@ const EventSchema = new mongoose.Schema({
 });
 
 EventSchema.index({ received_at: -1 });
+EventSchema.index({ site: 1, received_at: -1 });
 
 // ===================================================================
 // ACTIVITY LOG — User actions (admin panel requirement)
 // ===================================================================
 const ActivityLogSchema = new mongoose.Schema({
+  // Empty for changes made by the backend itself (e.g. threshold schedules)
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: true,
     index: true,
   },
   username: String, // Denormalized for faster queries
@@ -43,6 +54,7 @@ const ActivityLogSchema = new mongoose.Schema({
       'login',
       'logout',
       'threshold_changed',
+      'threshold_rolled_back',
       'manual_control',
       'user_created',
       'user_deleted',
@@ -53,6 +65,34 @@ const ActivityLogSchema = new mongoose.Schema({
       'forgot_password_approved',
       'forgot_password_rejected',
       'username_changed',
+      'greenhouse_created',
+      'greenhouse_updated',
+      'greenhouse_deleted',
+      'device_enrolled',
+      'device_key_rotated',
+      'device_revoked',
+      'retention_changed',
+      'alert_rule_created',
+      'alert_rule_updated',
+      'alert_rule_deleted',
+      'notification_channel_created',
+      'notification_channel_updated',
+      'notification_channel_deleted',
+      'crop_profile_created',
+      'crop_profile_updated',
+      'crop_profile_deleted',
+      'crop_profile_applied',
+      'threshold_schedule_changed',
+      'threshold_scheduled',
+      'safety_limits_changed',
+      'override_expired',
+      'interlock_blocked',
+      'interlocks_changed',
+      'schedule_created',
+      'schedule_updated',
+      'schedule_deleted',
+      'usage_rates_changed',
+      'anomaly_labeled',
     ],
   },
   details: mongoose.Schema.Types.Mixed, // Flexible field for action-specific data
@@ -66,8 +106,7 @@ const ActivityLogSchema = new mongoose.Schema({
   timestamps: false,
 });
 
-// TTL index — auto-delete logs older than 30 days
-ActivityLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+// Old logs are purged by the retention job (default 30 days)
 
 // Get 24-hour log
 ActivityLogSchema.statics.getLast24Hours = function() {
@@ -115,7 +154,13 @@ const ForgotPasswordRequestSchema = new mongoose.Schema({
 // THRESHOLD MODEL — Current Arduino thresholds
 // ===================================================================
 const ThresholdSchema = new mongoose.Schema({
-  // Only one document exists — singleton pattern
+  // One document per greenhouse
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    unique: true,
+    sparse: true,
+  },
   soil1: { type: Number, default: 60 },
   soil2: { type: Number, default: 60 },
   temp_high: { type: Number, default: 35 },
@@ -125,6 +170,11 @@ const ThresholdSchema = new mongoose.Schema({
   npk_n: { type: Number, default: 20 },
   npk_p: { type: Number, default: 20 },
   npk_k: { type: Number, default: 20 },
+  // Crop profile the values were last applied from (cleared by manual edits)
+  activeProfile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CropProfile',
+  },
   
   lastUpdatedBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -133,6 +183,34 @@ const ThresholdSchema = new mongoose.Schema({
   lastSyncedWithArduino: {
     type: Date,
   },
+  // Pushing the current values to the Pi: `pending` until the Pi accepts
+  // them, retried with backoff and on the Pi's next heartbeat
+  sync: {
+    status: {
+      type: String,
+      enum: ['synced', 'pending'],
+      default: 'synced',
+    },
+    attempts: { type: Number, default: 0 },
+    lastAttemptAt: Date,
+    nextAttemptAt: Date,
+    lastError: String,
+  },
+  // Values the Pi reported in its heartbeat that differ from ours
+  drift: {
+    fields: [{
+      _id: false,
+      field: String,
+      expected: Number,
+      actual: Number,
+    }],
+    detectedAt: Date,
+    checkedAt: Date,
+    alert: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'SystemAlert',
+    },
+  },
   updatedAt: {
     type: Date,
     default: Date.now,
@@ -141,20 +219,97 @@ const ThresholdSchema = new mongoose.Schema({
   timestamps: true,
 });
 
-// Ensure only one threshold document exists
-ThresholdSchema.statics.getCurrent = async function() {
-  let threshold = await this.findOne();
+ThresholdSchema.index({ 'sync.status': 1, 'sync.nextAttemptAt': 1 });
+
+// Ensure exactly one threshold document exists per greenhouse
+ThresholdSchema.statics.getCurrent = async function(siteId) {
+  let threshold = await this.findOne({ site: siteId });
   if (!threshold) {
-    threshold = await this.create({});
+    threshold = await this.create({ site: siteId });
   }
   return threshold;
 };
 
+// ===================================================================
+// THRESHOLD REVISION — Versioned history of a greenhouse's thresholds
+// ===================================================================
+const ThresholdRevisionSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+  },
+  // 0 = values before the first recorded change, then 1, 2, ...
+  version: {
+    type: Number,
+    required: true,
+  },
+  // All threshold values after this revision
+  values: {
+    type: Object,
+    required: true,
+  },
+  // Fields this revision changed
+  changes: [{
+    _id: false,
+    field: String,
+    from: Number,
+    to: Number,
+  }],
+  source: {
+    type: String,
+    enum: ['baseline', 'user', 'rollback', 'profile', 'schedule'],
+    default: 'user',
+  },
+  // Rollbacks: the version that was restored
+  restoredVersion: Number,
+  // Crop profile active after this revision
+  profile: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CropProfile',
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  username: String,
+  // Outcome of pushing the change to the Pi (`pending` while queued for
+  // retry; `failed` only on revisions from before the retry queue)
+  sync: {
+    status: {
+      type: String,
+      enum: ['pending', 'synced', 'failed', 'skipped'],
+      default: 'pending',
+    },
+    at: Date,
+    error: String,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+ThresholdRevisionSchema.index({ site: 1, version: -1 }, { unique: true });
+
 // ===================================================================
 // PI STATUS MODEL — Raspberry Pi heartbeat/status
 // ===================================================================
 const PiStatusSchema = new mongoose.Schema({
-  // Only one document — singleton
+  // One document per greenhouse
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    unique: true,
+    sparse: true,
+  },
+  // Pi that sent the latest heartbeat
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+  },
   arduino_connected: Boolean,
   backend_reachable: Boolean,
   wifi_available: Boolean,
@@ -168,14 +323,33 @@ const PiStatusSchema = new mongoose.Schema({
     default: Date.now,
     index: true,
   },
+  // Watchdog: false once heartbeats stopped for PI_OFFLINE_SECONDS
+  online: {
+    type: Boolean,
+    default: true,
+  },
+  offlineSince: Date,
+  // Open watchdog alerts, resolved when the condition clears
+  offlineAlert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SystemAlert',
+  },
+  arduinoAlert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SystemAlert',
+  },
 }, {
   timestamps: true,
 });
 
-PiStatusSchema.statics.updateStatus = async function(data) {
+// Fields only the backend's watchdog sets
+const WATCHDOG_FIELDS = ['online', 'offlineSince', 'offlineAlert', 'arduinoAlert'];
+
+PiStatusSchema.statics.updateStatus = async function(siteId, data) {
+  const status = Object.fromEntries(Object.entries(data).filter(([key]) => !WATCHDOG_FIELDS.includes(key)));
   return this.findOneAndUpdate(
-    {},
-    { ...data, lastHeartbeat: new Date() },
+    { site: siteId },
+    { ...status, site: siteId, lastHeartbeat: new Date() },
     { upsert: true, new: true }
   );
 };
@@ -184,6 +358,16 @@ PiStatusSchema.statics.updateStatus = async function(data) {
 // SYSTEM ALERT MODEL — Critical alerts from Pi/Arduino
 // ===================================================================
 const SystemAlertSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    index: true,
+  },
+  // Pi that sent it
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+  },
   level: {
     type: String,
     enum: ['INFO', 'WARNING', 'ERROR', 'CRITICAL'],
@@ -198,6 +382,26 @@ const SystemAlertSchema = new mongoose.Schema({
     enum: ['pi', 'arduino', 'backend'],
     default: 'pi',
   },
+  // Identical alerts (same greenhouse, source, level and message, or the
+  // same rule) share a fingerprint; repeats bump `occurrences` instead of
+  // creating new alerts while one is unresolved
+  fingerprint: String,
+  occurrences: {
+    type: Number,
+    default: 1,
+  },
+  lastOccurredAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+  // open -> acknowledged -> resolved
+  state: {
+    type: String,
+    enum: ['open', 'acknowledged', 'resolved'],
+    default: 'open',
+    index: true,
+  },
   acknowledged: {
     type: Boolean,
     default: false,
@@ -206,6 +410,29 @@ const SystemAlertSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
   },
+  acknowledgedAt: Date,
+  // Backend rule that raised it (source: 'backend')
+  rule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertRule',
+  },
+  // Set when the rule's condition cleared or an admin resolved it
+  resolvedAt: Date,
+  resolvedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // No escalation until then
+  snoozedUntil: Date,
+  snoozedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  // When head admins were told about it (unacknowledged CRITICAL)
+  escalatedAt: Date,
+  // When it last became open: first occurrence, or a repeat that reopened
+  // it after it was acknowledged. Escalation counts from here.
+  openedAt: Date,
   timestamp: {
     type: Date,
     default: Date.now,
@@ -215,17 +442,320 @@ const SystemAlertSchema = new mongoose.Schema({
   timestamps: false,
 });
 
-// Auto-delete alerts older than 7 days
-SystemAlertSchema.index({ timestamp: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+// Open rule alerts are looked up on every reading
+SystemAlertSchema.index({ rule: 1, site: 1, resolvedAt: 1 });
+// Repeats are matched to the unresolved alert with their fingerprint
+SystemAlertSchema.index({ fingerprint: 1, state: 1 });
+
+// Alerts that stopped recurring are purged by the retention job (resolved
+// ones after 7 days, unresolved ones after 90 by default)
+
+// ===================================================================
+// REJECTED READING — Pi readings that failed validation (kept for review)
+// ===================================================================
+const RejectedReadingSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    index: true,
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+  },
+  reading_id: String,
+  reasons: [String],
+  payload: mongoose.Schema.Types.Mixed, // Reading exactly as the Pi sent it
+  received_at: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+}, {
+  timestamps: false,
+});
+
+// ===================================================================
+// REQUEST NONCE — Seen nonces of signed Pi requests (replay protection)
+// ===================================================================
+const RequestNonceSchema = new mongoose.Schema({
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+    required: true,
+  },
+  nonce: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+// A nonce may only be used once per device
+RequestNonceSchema.index({ device: 1, nonce: 1 }, { unique: true });
+
+// Nonces only need to outlive the signature tolerance window
+RequestNonceSchema.index({ createdAt: 1 }, { expireAfterSeconds: 60 * 60 });
+
+// ===================================================================
+// RETENTION POLICY — How long each collection keeps its data
+// ===================================================================
+const RetentionPolicySchema = new mongoose.Schema({
+  // Key from services/retention.js RETENTION_TARGETS
+  target: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Days to keep; null keeps data forever
+  days: {
+    type: Number,
+    default: null,
+    min: [1, 'Retention must be at least 1 day'],
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// ===================================================================
+// SAFETY LIMIT — Admin-set bounds users cannot set a threshold beyond
+// ===================================================================
+const SafetyLimitSchema = new mongoose.Schema({
+  // Threshold field (utils/metrics THRESHOLD_FIELDS)
+  field: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  min: {
+    type: Number,
+    required: true,
+  },
+  max: {
+    type: Number,
+    required: true,
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
 
 // ===================================================================
 // EXPORTS
 // ===================================================================
+// ===================================================================
+// NOTIFICATION DELIVERY — One attempt log per alert and channel
+// ===================================================================
+const NotificationDeliverySchema = new mongoose.Schema({
+  channel: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NotificationChannel',
+    index: true,
+  },
+  alert: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SystemAlert',
+  },
+  // Sent from the "send test notification" endpoint
+  test: {
+    type: Boolean,
+    default: false,
+  },
+  level: String,
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'failed'],
+    default: 'pending',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  lastError: String,
+  // HTTP status of the last webhook attempt
+  responseStatus: Number,
+  nextAttemptAt: Date,
+  sentAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+}, {
+  timestamps: false,
+});
+
+// Retry job looks up due deliveries
+NotificationDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+
+// ===================================================================
+// PI STATUS HISTORY — Connectivity changes of a greenhouse's Pi
+// ===================================================================
+const PiStatusHistorySchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+  },
+  device: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Device',
+  },
+  // online/offline: heartbeats resumed/stopped
+  // arduino_connected/arduino_disconnected: as reported by the Pi
+  // arduino_reboot: arduino_reboot_count went up (details.from/to)
+  event: {
+    type: String,
+    enum: ['online', 'offline', 'arduino_connected', 'arduino_disconnected', 'arduino_reboot'],
+    required: true,
+  },
+  details: mongoose.Schema.Types.Mixed,
+  // When it happened (offline: the last heartbeat)
+  at: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+}, {
+  timestamps: false,
+});
+
+PiStatusHistorySchema.index({ site: 1, at: -1 });
+
+// ===================================================================
+// USAGE RATE — Flow rates and power ratings for usage estimates
+// ===================================================================
+const UsageRateSchema = new mongoose.Schema({
+  // One set per greenhouse
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+    unique: true,
+  },
+  // Litres per minute while a pump runs
+  flowRates: {
+    pump_water: { type: Number, min: [0, 'Flow rates cannot be negative'] },
+    pump_nutrient: { type: Number, min: [0, 'Flow rates cannot be negative'] },
+  },
+  // Watts while on (peltier: at PWM 255, scaled by its PWM)
+  powerWatts: {
+    pump_water: { type: Number, min: [0, 'Power ratings cannot be negative'] },
+    pump_nutrient: { type: Number, min: [0, 'Power ratings cannot be negative'] },
+    fan_exhaust: { type: Number, min: [0, 'Power ratings cannot be negative'] },
+    peltier: { type: Number, min: [0, 'Power ratings cannot be negative'] },
+    fan_peltier_hot: { type: Number, min: [0, 'Power ratings cannot be negative'] },
+    fan_peltier_cold: { type: Number, min: [0, 'Power ratings cannot be negative'] },
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+}, {
+  timestamps: true,
+});
+
+// ===================================================================
+// SCHEDULE RUN — What a scheduled actuator job did each time it was due
+// ===================================================================
+const ScheduleRunSchema = new mongoose.Schema({
+  schedule: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Schedule',
+  },
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+  },
+  // dispatched: command queued | skipped: a skip condition held
+  // blocked: an interlock refused it | missed: the backend was down
+  status: {
+    type: String,
+    enum: ['dispatched', 'skipped', 'blocked', 'missed'],
+    required: true,
+  },
+  reason: String,
+  violations: mongoose.Schema.Types.Mixed,
+  command: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Command',
+  },
+  // When it was due
+  scheduledFor: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    index: true,
+  },
+}, {
+  timestamps: false,
+});
+
+ScheduleRunSchema.index({ schedule: 1, createdAt: -1 });
+
+// ===================================================================
+// ANOMALY BASELINE — Usual value of a metric per local hour of day
+// ===================================================================
+// Rebuilt daily by the anomaly detector from the 15-minute rollups.
+const BaselineHourSchema = new mongoose.Schema({
+  hour: Number, // 0-23, greenhouse local time
+  mean: Number,
+  std: Number,
+  samples: Number, // 15-minute averages it was built from
+}, { _id: false });
+
+const AnomalyBaselineSchema = new mongoose.Schema({
+  site: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Greenhouse',
+    required: true,
+  },
+  metric: {
+    type: String,
+    required: true,
+  },
+  // Timezone the hours are in
+  timezone: String,
+  hours: [BaselineHourSchema],
+  // History it covers
+  from: Date,
+  to: Date,
+  computedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  timestamps: false,
+});
+
+AnomalyBaselineSchema.index({ site: 1, metric: 1 }, { unique: true });
+
 module.exports = {
   Event: mongoose.model('Event', EventSchema),
   ActivityLog: mongoose.model('ActivityLog', ActivityLogSchema),
   ForgotPasswordRequest: mongoose.model('ForgotPasswordRequest', ForgotPasswordRequestSchema),
   Threshold: mongoose.model('Threshold', ThresholdSchema),
+  ThresholdRevision: mongoose.model('ThresholdRevision', ThresholdRevisionSchema),
   PiStatus: mongoose.model('PiStatus', PiStatusSchema),
   SystemAlert: mongoose.model('SystemAlert', SystemAlertSchema),
+  RejectedReading: mongoose.model('RejectedReading', RejectedReadingSchema),
+  RequestNonce: mongoose.model('RequestNonce', RequestNonceSchema),
+  RetentionPolicy: mongoose.model('RetentionPolicy', RetentionPolicySchema),
+  SafetyLimit: mongoose.model('SafetyLimit', SafetyLimitSchema),
+  NotificationDelivery: mongoose.model('NotificationDelivery', NotificationDeliverySchema),
+  PiStatusHistory: mongoose.model('PiStatusHistory', PiStatusHistorySchema),
+  UsageRate: mongoose.model('UsageRate', UsageRateSchema),
+  ScheduleRun: mongoose.model('ScheduleRun', ScheduleRunSchema),
+  AnomalyBaseline: mongoose.model('AnomalyBaseline', AnomalyBaselineSchema),
 };
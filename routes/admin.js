@@ -1,8 +1,19 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const User = require('../models/User');
-const { ActivityLog, ForgotPasswordRequest, SystemAlert } = require('../models');
+const Device = require('../models/Device');
+const Greenhouse = require('../models/Greenhouse');
+const AlertRule = require('../models/AlertRule');
+const NotificationChannel = require('../models/NotificationChannel');
+const { ActivityLog, ForgotPasswordRequest, SystemAlert, RejectedReading, NotificationDelivery } = require('../models');
 const { protect, adminOnly, headAdminOnly } = require('../middleware/auth');
+const retention = require('../services/retention');
+const { resetRule, forgetAlert } = require('../services/alertEngine');
+const { acknowledgeAlerts, resolveAlert } = require('../services/alerts');
+const { sendTestNotification } = require('../services/notifier');
+const { getSafetyLimits, saveSafetyLimits } = require('../services/thresholds');
+const { THRESHOLD_RANGES, validateSafetyLimits } = require('../utils/thresholdValidation');
 
 // All admin routes require admin privileges
 router.use(protect, adminOnly);
@@ -490,22 +501,978 @@ router.post('/forgot-password/:id/reject', async (req, res) => {
   }
 });
 
+// ===================================================================
+// DEVICE REGISTRY
+// ===================================================================
+
+// @route   GET /api/admin/devices
+// @desc    List enrolled Pi devices with last-seen times
+// @access  Admin
+router.get('/devices', async (req, res) => {
+  try {
+    const devices = await Device.find()
+      .populate('site', 'name slug')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      count: devices.length,
+      data: devices.map(d => d.toSafeObject()),
+    });
+
+  } catch (error) {
+    console.error('Error fetching devices:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   POST /api/admin/devices
+// @desc    Enroll a Pi — the generated API key is only returned here
+// @access  Admin
+router.post('/devices', async (req, res) => {
+  try {
+    const { name, site } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: 'Device name required',
+      });
+    }
+
+    if (site !== undefined && typeof site !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid greenhouse reference',
+      });
+    }
+
+    const greenhouse = site ? await Greenhouse.findByRef(site) : await Greenhouse.getDefault();
+
+    if (!greenhouse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Greenhouse not found',
+      });
+    }
+
+    const device = new Device({
+      name,
+      site: greenhouse._id,
+      enrolledBy: req.user._id,
+    });
+    const apiKey = device.issueKey();
+    await device.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'device_enrolled',
+      details: { device: device.name, site: greenhouse.slug },
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Device enrolled. Store the API key and signing secret now — they will not be shown again.',
+      apiKey,
+      signingSecret: device.signingSecret(),
+      data: device.toSafeObject(),
+    });
+
+  } catch (error) {
+    console.error('Error enrolling device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   POST /api/admin/devices/:id/rotate
+// @desc    Issue a new API key (the old one stops working immediately)
+// @access  Admin
+router.post('/devices/:id/rotate', async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+      });
+    }
+
+    if (device.status === 'revoked') {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot rotate the key of a revoked device',
+      });
+    }
+
+    const apiKey = device.issueKey();
+    await device.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'device_key_rotated',
+      details: { device: device.name },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Store the new key and signing secret now — they will not be shown again.',
+      apiKey,
+      signingSecret: device.signingSecret(),
+      data: device.toSafeObject(),
+    });
+
+  } catch (error) {
+    console.error('Error rotating device key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   PUT /api/admin/devices/:id/revoke
+// @desc    Revoke a device — its key is rejected from now on
+// @access  Admin
+router.put('/devices/:id/revoke', async (req, res) => {
+  try {
+    const device = await Device.findById(req.params.id);
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: 'Device not found',
+      });
+    }
+
+    if (device.status === 'revoked') {
+      return res.status(400).json({
+        success: false,
+        error: 'Device already revoked',
+      });
+    }
+
+    device.status = 'revoked';
+    device.revokedAt = new Date();
+    device.revokedBy = req.user._id;
+    await device.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'device_revoked',
+      details: { device: device.name },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Device ${device.name} revoked`,
+      data: device.toSafeObject(),
+    });
+
+  } catch (error) {
+    console.error('Error revoking device:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// REJECTED READINGS
+// ===================================================================
+
+// @route   GET /api/admin/readings/rejected
+// @desc    Readings the Pi sent that failed validation (latest 200,
+//          optionally for one greenhouse: ?site=<id>)
+// @access  Admin
+router.get('/readings/rejected', async (req, res) => {
+  try {
+    const filter = {};
+    if (typeof req.query.site === 'string' && mongoose.isValidObjectId(req.query.site)) {
+      filter.site = req.query.site;
+    }
+
+    const rejected = await RejectedReading.find(filter)
+      .populate('device', 'name')
+      .sort({ received_at: -1 })
+      .limit(200)
+      .lean();
+
+    res.json({
+      success: true,
+      count: rejected.length,
+      data: rejected,
+    });
+
+  } catch (error) {
+    console.error('Error fetching rejected readings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// DATA RETENTION (Head Admin Only)
+// ===================================================================
+
+// @route   GET /api/admin/retention
+// @desc    Current retention policy per collection (days, null = forever)
+// @access  Head Admin only
+router.get('/retention', headAdminOnly, async (req, res) => {
+  try {
+    const policies = await retention.getPolicies();
+
+    res.json({
+      success: true,
+      data: policies,
+    });
+
+  } catch (error) {
+    console.error('Error fetching retention policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   PUT /api/admin/retention
+// @desc    Change retention for one or more collections
+// @access  Head Admin only
+router.put('/retention', headAdminOnly, async (req, res) => {
+  try {
+    const validationError = retention.validatePolicies(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const policies = await retention.savePolicies(req.body, req.user._id);
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'retention_changed',
+      details: { changed: req.body },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Retention policies updated',
+      data: policies,
+    });
+
+  } catch (error) {
+    console.error('Error updating retention policies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   POST /api/admin/retention/dry-run
+// @desc    How many documents the current policies, with the given
+//          changes applied, would purge right now (nothing is deleted)
+// @access  Head Admin only
+router.post('/retention/dry-run', headAdminOnly, async (req, res) => {
+  try {
+    const validationError = retention.validatePolicies(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        error: validationError,
+      });
+    }
+
+    const policies = {
+      ...(await retention.getPolicies()),
+      ...req.body,
+    };
+    const report = await retention.countPurgeable(policies);
+
+    res.json({
+      success: true,
+      data: report,
+    });
+
+  } catch (error) {
+    console.error('Error running retention dry run:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// THRESHOLD SAFETY LIMITS
+// ===================================================================
+
+// @route   GET /api/admin/safety-limits
+// @desc    Safety limit per threshold field ({ min, max }). Users who
+//          are not admins cannot set thresholds outside them.
+// @access  Admin
+router.get('/safety-limits', async (req, res) => {
+  try {
+    const limits = await getSafetyLimits();
+
+    res.json({
+      success: true,
+      data: limits,
+      ranges: THRESHOLD_RANGES,
+    });
+
+  } catch (error) {
+    console.error('Error fetching safety limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   PUT /api/admin/safety-limits
+// @desc    Change safety limits for one or more threshold fields
+//          ({ temp_high: { min: 10, max: 40 } })
+// @access  Admin
+router.put('/safety-limits', async (req, res) => {
+  try {
+    if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Body must map threshold fields to { min, max }',
+      });
+    }
+
+    // Limits apply to every greenhouse: a `site` selector is ignored
+    const { site, ...updates } = req.body;
+
+    const errors = validateSafetyLimits(updates);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(errors).join(', '),
+        errors,
+      });
+    }
+
+    const limits = await saveSafetyLimits(updates, req.user._id);
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'safety_limits_changed',
+      details: { changed: updates },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Safety limits updated',
+      data: limits,
+    });
+
+  } catch (error) {
+    console.error('Error updating safety limits:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// ALERT RULES
+// ===================================================================
+
+// Fields admins may set on an alert rule
+const alertRuleFields = [
+  'name', 'site', 'enabled', 'level', 'metric', 'condition', 'value',
+  'thresholdField', 'durationMinutes', 'hysteresis', 'windowMinutes',
+];
+
+// Pick rule fields from a request body, resolving `site` (id or slug,
+// null = every greenhouse). Returns { data } or { status, error }.
+const pickAlertRule = async (body) => {
+  const data = {};
+  for (const key of alertRuleFields) {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  }
+
+  if (data.site !== undefined && data.site !== null) {
+    if (typeof data.site !== 'string') {
+      return { status: 400, error: 'Invalid greenhouse reference' };
+    }
+    const greenhouse = await Greenhouse.findByRef(data.site);
+    if (!greenhouse) {
+      return { status: 404, error: 'Greenhouse not found' };
+    }
+    data.site = greenhouse._id;
+  }
+
+  return { data };
+};
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+// @route   GET /api/admin/alert-rules
+// @desc    List alert rules
+// @access  Admin
+router.get('/alert-rules', async (req, res) => {
+  try {
+    await AlertRule.seedDefaults();
+
+    const rules = await AlertRule.find()
+      .populate('site', 'name slug')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: rules.length,
+      data: rules,
+    });
+
+  } catch (error) {
+    console.error('Error fetching alert rules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   POST /api/admin/alert-rules
+// @desc    Create an alert rule
+// @access  Admin
+router.post('/alert-rules', async (req, res) => {
+  try {
+    const { data, status, error } = await pickAlertRule(req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const rule = await AlertRule.create({
+      ...data,
+      createdBy: req.user._id,
+    });
+    await resetRule(req.app.get('io'), rule._id);
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'alert_rule_created',
+      details: { rule: rule.name },
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Alert rule ${rule.name} created`,
+      data: rule,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: validationMessage(error),
+      });
+    }
+    console.error('Error creating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   PUT /api/admin/alert-rules/:id
+// @desc    Update an alert rule (alerts it left open are resolved)
+// @access  Admin
+router.put('/alert-rules/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found',
+      });
+    }
+
+    const { data, status, error } = await pickAlertRule(req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    rule.set(data);
+    await rule.save();
+    await resetRule(req.app.get('io'), rule._id);
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'alert_rule_updated',
+      details: { rule: rule.name, changed: Object.keys(data) },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Alert rule ${rule.name} updated`,
+      data: rule,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: validationMessage(error),
+      });
+    }
+    console.error('Error updating alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   DELETE /api/admin/alert-rules/:id
+// @desc    Delete an alert rule (alerts it left open are resolved)
+// @access  Admin
+router.delete('/alert-rules/:id', async (req, res) => {
+  try {
+    const rule = await AlertRule.findByIdAndDelete(req.params.id);
+
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert rule not found',
+      });
+    }
+
+    await resetRule(req.app.get('io'), rule._id);
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'alert_rule_deleted',
+      details: { rule: rule.name },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Alert rule ${rule.name} deleted`,
+    });
+
+  } catch (error) {
+    console.error('Error deleting alert rule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// NOTIFICATION CHANNELS
+// ===================================================================
+
+// Fields admins may set on a notification channel
+const channelFields = ['name', 'type', 'enabled', 'levels', 'sites', 'recipients', 'url', 'secret'];
+
+// Pick channel fields from a request body, resolving `sites` (ids or
+// slugs). Returns { data } or { status, error }.
+const pickChannel = async (body) => {
+  const data = {};
+  for (const key of channelFields) {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  }
+
+  if (data.sites !== undefined) {
+    if (!Array.isArray(data.sites) || data.sites.some(ref => typeof ref !== 'string')) {
+      return { status: 400, error: 'sites must be an array of greenhouse ids or slugs' };
+    }
+    const greenhouses = [];
+    for (const ref of data.sites) {
+      const greenhouse = await Greenhouse.findByRef(ref);
+      if (!greenhouse) {
+        return { status: 404, error: `Greenhouse ${ref} not found` };
+      }
+      greenhouses.push(greenhouse._id);
+    }
+    data.sites = greenhouses;
+  }
+
+  return { data };
+};
+
+// @route   GET /api/admin/notification-channels
+// @desc    List notification channels (secrets are never returned)
+// @access  Admin
+router.get('/notification-channels', async (req, res) => {
+  try {
+    const channels = await NotificationChannel.find()
+      .select('+secret')
+      .populate('sites', 'name slug')
+      .sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: channels.length,
+      data: channels.map(c => c.toSafeObject()),
+    });
+
+  } catch (error) {
+    console.error('Error fetching notification channels:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   POST /api/admin/notification-channels
+// @desc    Create an email, webhook, Slack or Discord channel
+// @access  Admin
+router.post('/notification-channels', async (req, res) => {
+  try {
+    const { data, status, error } = await pickChannel(req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    const channel = await NotificationChannel.create({
+      ...data,
+      createdBy: req.user._id,
+    });
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'notification_channel_created',
+      details: { channel: channel.name, type: channel.type },
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Notification channel ${channel.name} created`,
+      data: channel.toSafeObject(),
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: validationMessage(error),
+      });
+    }
+    console.error('Error creating notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   PUT /api/admin/notification-channels/:id
+// @desc    Update a notification channel
+// @access  Admin
+router.put('/notification-channels/:id', async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findById(req.params.id).select('+secret');
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found',
+      });
+    }
+
+    const { data, status, error } = await pickChannel(req.body);
+    if (error) {
+      return res.status(status).json({
+        success: false,
+        error,
+      });
+    }
+
+    channel.set(data);
+    await channel.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'notification_channel_updated',
+      details: { channel: channel.name, changed: Object.keys(data) },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Notification channel ${channel.name} updated`,
+      data: channel.toSafeObject(),
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: validationMessage(error),
+      });
+    }
+    console.error('Error updating notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   DELETE /api/admin/notification-channels/:id
+// @desc    Delete a notification channel (its delivery log is kept)
+// @access  Admin
+router.delete('/notification-channels/:id', async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findByIdAndDelete(req.params.id);
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found',
+      });
+    }
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'notification_channel_deleted',
+      details: { channel: channel.name, type: channel.type },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Notification channel ${channel.name} deleted`,
+    });
+
+  } catch (error) {
+    console.error('Error deleting notification channel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   POST /api/admin/notification-channels/:id/test
+// @desc    Send a test notification through a channel right away
+// @access  Admin
+router.post('/notification-channels/:id/test', async (req, res) => {
+  try {
+    const channel = await NotificationChannel.findById(req.params.id).select('+secret');
+
+    if (!channel) {
+      return res.status(404).json({
+        success: false,
+        error: 'Notification channel not found',
+      });
+    }
+
+    // Sample alert from one of its greenhouses (any still existing)
+    const site = (channel.sites.length > 0 && await Greenhouse.findOne({ _id: { $in: channel.sites } }))
+      || await Greenhouse.getDefault();
+
+    const delivery = await sendTestNotification(channel, site);
+
+    if (delivery.status !== 'sent') {
+      return res.status(502).json({
+        success: false,
+        error: `Test notification failed: ${delivery.lastError}`,
+        data: delivery,
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Test notification sent via ${channel.name}`,
+      data: delivery,
+    });
+
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   GET /api/admin/notification-deliveries
+// @desc    Delivery log, newest first (?channel=<id>, ?status=pending|sent|failed)
+// @access  Admin
+router.get('/notification-deliveries', async (req, res) => {
+  try {
+    const filter = {};
+    if (typeof req.query.channel === 'string' && mongoose.isValidObjectId(req.query.channel)) {
+      filter.channel = req.query.channel;
+    }
+    if (['pending', 'sent', 'failed'].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+
+    const deliveries = await NotificationDelivery.find(filter)
+      .populate('channel', 'name type')
+      .populate('alert', 'level message timestamp site')
+      .sort({ createdAt: -1 })
+      .limit(200);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      data: deliveries,
+    });
+
+  } catch (error) {
+    console.error('Error fetching notification deliveries:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
 // ===================================================================
 // SYSTEM ALERTS
 // ===================================================================
 
 // @route   GET /api/admin/alerts
-// @desc    Get system alerts
+// @desc    Get system alerts, newest first. Filters: state, level,
+//          source (comma-separated), site, snoozed=true|false, from/to
+//          (ISO dates). Paginated with page & limit (max 200).
 // @access  Admin
+const ALERT_STATES = ['open', 'acknowledged', 'resolved'];
+const ALERT_LEVELS = ['INFO', 'WARNING', 'ERROR', 'CRITICAL'];
+const ALERT_SOURCES = ['pi', 'arduino', 'backend'];
+
+// Parse a comma-separated filter against allowed values.
+// Returns { values } (undefined when absent) or { error }.
+const parseList = (value, allowed, name) => {
+  if (value === undefined || value === '') return {};
+  const values = String(value).split(',').map(v => v.trim()).filter(Boolean);
+  if (values.some(v => !allowed.includes(v))) {
+    return { error: `Invalid ${name}. Valid options: ${allowed.join(', ')}` };
+  }
+  return { values };
+};
+
 router.get('/alerts', async (req, res) => {
   try {
-    const alerts = await SystemAlert.find()
-      .sort({ timestamp: -1 })
-      .limit(100);
+    const filter = {};
+
+    for (const [param, allowed, field] of [
+      ['state', ALERT_STATES, 'state'],
+      ['level', ALERT_LEVELS, 'level'],
+      ['source', ALERT_SOURCES, 'source'],
+    ]) {
+      const { values, error } = parseList(req.query[param], allowed, param);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          error,
+        });
+      }
+      if (values) filter[field] = { $in: values };
+    }
+
+    if (typeof req.query.site === 'string' && mongoose.isValidObjectId(req.query.site)) {
+      filter.site = req.query.site;
+    }
+
+    const now = new Date();
+    if (req.query.snoozed === 'true') {
+      filter.snoozedUntil = { $gt: now };
+    } else if (req.query.snoozed === 'false') {
+      filter.$or = [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }];
+    }
+
+    if (req.query.from || req.query.to) {
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid from/to date',
+        });
+      }
+      filter.timestamp = {};
+      if (from) filter.timestamp.$gte = from;
+      if (to) filter.timestamp.$lte = to;
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const [alerts, total] = await Promise.all([
+      SystemAlert.find(filter)
+        .sort({ timestamp: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      SystemAlert.countDocuments(filter),
+    ]);
 
     res.json({
       success: true,
       count: alerts.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
       data: alerts,
     });
 
@@ -518,6 +1485,38 @@ router.get('/alerts', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/alerts/acknowledge
+// @desc    Acknowledge several open alerts ({ ids: [...] })
+// @access  Admin
+router.put('/alerts/acknowledge', async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > 500 ||
+        ids.some(id => typeof id !== 'string' || !mongoose.isValidObjectId(id))) {
+      return res.status(400).json({
+        success: false,
+        error: 'ids must be an array of 1-500 alert ids',
+      });
+    }
+
+    const acknowledged = await acknowledgeAlerts(req.app.get('io'), { _id: { $in: ids } }, req.user._id);
+
+    res.json({
+      success: true,
+      message: `${acknowledged} alert(s) acknowledged`,
+      acknowledged,
+    });
+
+  } catch (error) {
+    console.error('Error acknowledging alerts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
 // @route   PUT /api/admin/alerts/:id/acknowledge
 // @desc    Acknowledge an alert
 // @access  Admin
@@ -532,9 +1531,14 @@ router.put('/alerts/:id/acknowledge', async (req, res) => {
       });
     }
 
-    alert.acknowledged = true;
-    alert.acknowledgedBy = req.user._id;
-    await alert.save();
+    if (alert.state !== 'open') {
+      return res.status(400).json({
+        success: false,
+        error: `Alert is already ${alert.state}`,
+      });
+    }
+
+    await acknowledgeAlerts(req.app.get('io'), { _id: alert._id }, req.user._id);
 
     res.json({
       success: true,
@@ -550,4 +1554,93 @@ router.put('/alerts/:id/acknowledge', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/alerts/:id/snooze
+// @desc    Hold off escalation for { minutes } (1-1440; 0 = unsnooze)
+// @access  Admin
+router.put('/alerts/:id/snooze', async (req, res) => {
+  try {
+    const { minutes } = req.body;
+
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > 1440) {
+      return res.status(400).json({
+        success: false,
+        error: 'minutes must be a whole number from 0 to 1440',
+      });
+    }
+
+    const alert = await SystemAlert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+      });
+    }
+
+    if (alert.state === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        error: 'Alert is already resolved',
+      });
+    }
+
+    alert.snoozedUntil = minutes > 0 ? new Date(Date.now() + minutes * 60 * 1000) : undefined;
+    alert.snoozedBy = minutes > 0 ? req.user._id : undefined;
+    await alert.save();
+
+    res.json({
+      success: true,
+      message: minutes > 0 ? `Alert snoozed for ${minutes} minutes` : 'Alert unsnoozed',
+      data: alert,
+    });
+
+  } catch (error) {
+    console.error('Error snoozing alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   PUT /api/admin/alerts/:id/resolve
+// @desc    Resolve an alert by hand (a rule alert can then fire again)
+// @access  Admin
+router.put('/alerts/:id/resolve', async (req, res) => {
+  try {
+    const alert = await SystemAlert.findById(req.params.id);
+
+    if (!alert) {
+      return res.status(404).json({
+        success: false,
+        error: 'Alert not found',
+      });
+    }
+
+    if (alert.state === 'resolved') {
+      return res.status(400).json({
+        success: false,
+        error: 'Alert is already resolved',
+      });
+    }
+
+    await resolveAlert(req.app.get('io'), alert, req.user._id);
+    if (alert.rule) {
+      await forgetAlert(alert._id);
+    }
+
+    res.json({
+      success: true,
+      message: 'Alert resolved',
+    });
+
+  } catch (error) {
+    console.error('Error resolving alert:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,221 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Anomaly = require('../models/Anomaly');
+const { ActivityLog, AnomalyBaseline } = require('../models');
+const { protect, allowWrite } = require('../middleware/auth');
+const { resolveSite } = require('../middleware/site');
+const { METRICS } = require('../utils/metrics');
+const { MIN_SAMPLES, siteThresholds, forgetSite } = require('../services/anomalies');
+
+// All routes require authentication and are scoped to a greenhouse
+router.use(protect, resolveSite);
+
+const LABELS = Anomaly.schema.path('label').enumValues;
+
+// Find an anomaly of the request's greenhouse (null for malformed ids)
+const findAnomaly = (req) => (mongoose.isValidObjectId(req.params.id)
+  ? Anomaly.findOne({ _id: req.params.id, site: req.site._id })
+  : null);
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Anomaly not found',
+});
+
+// ===================================================================
+// @route   GET /api/anomalies?metric=temp&label=unlabeled&status=open
+//          &start=2026-02-01&end=2026-02-14&page=1&limit=50
+// @desc    Detected anomalies of a greenhouse, newest first
+// @access  Private
+// ===================================================================
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = { site: req.site._id };
+    const { metric, label, status, start, end } = req.query;
+
+    if (metric !== undefined) {
+      if (!METRICS.includes(metric)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid metric. Valid options: ${METRICS.join(', ')}`,
+        });
+      }
+      filter.metric = metric;
+    }
+
+    if (label !== undefined) {
+      if (label !== 'unlabeled' && !LABELS.includes(label)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid label. Valid options: ${[...LABELS, 'unlabeled'].join(', ')}`,
+        });
+      }
+      filter.label = label === 'unlabeled' ? null : label;
+    }
+
+    if (status !== undefined) {
+      if (status !== 'open' && status !== 'closed') {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid status. Valid options: open, closed',
+        });
+      }
+      filter.status = status;
+    }
+
+    if (start !== undefined || end !== undefined) {
+      const range = {};
+      if (start !== undefined) range.$gte = new Date(start);
+      if (end !== undefined) range.$lte = new Date(end);
+      if (Object.values(range).some(date => isNaN(date))) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid start or end date',
+        });
+      }
+      filter.startedAt = range;
+    }
+
+    const [anomalies, total] = await Promise.all([
+      Anomaly.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate('labeledBy', 'username'),
+      Anomaly.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: anomalies.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: anomalies,
+    });
+
+  } catch (error) {
+    console.error('Error fetching anomalies:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/anomalies/baselines
+// @desc    Hour-of-day baselines and current score thresholds
+// @access  Private
+// ===================================================================
+router.get('/baselines', async (req, res) => {
+  try {
+    const [baselines, thresholds] = await Promise.all([
+      AnomalyBaseline.find({ site: req.site._id }).lean(),
+      siteThresholds(req.site._id),
+    ]);
+
+    res.json({
+      success: true,
+      minSamples: MIN_SAMPLES,
+      thresholds,
+      data: METRICS.map(metric => baselines.find(b => b.metric === metric)).filter(Boolean),
+    });
+
+  } catch (error) {
+    console.error('Error fetching anomaly baselines:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/anomalies/:id
+// @desc    Get an anomaly
+// @access  Private
+// ===================================================================
+router.get('/:id', async (req, res) => {
+  try {
+    const anomaly = await findAnomaly(req);
+    if (!anomaly) return notFound(res);
+
+    res.json({
+      success: true,
+      data: await anomaly.populate('labeledBy', 'username'),
+    });
+
+  } catch (error) {
+    console.error('Error fetching anomaly:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   PUT /api/anomalies/:id/label
+// @desc    Label an anomaly after review ({ label, note }; label null
+//          clears it). False positives raise the metric's threshold.
+// @access  Private (write permission)
+// ===================================================================
+router.put('/:id/label', allowWrite, async (req, res) => {
+  try {
+    const { label, note } = req.body;
+
+    if (label !== null && !LABELS.includes(label)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid label. Valid options: ${LABELS.join(', ')} or null`,
+      });
+    }
+
+    const anomaly = await findAnomaly(req);
+    if (!anomaly) return notFound(res);
+
+    const previous = anomaly.label;
+    anomaly.label = label;
+    if (note !== undefined) anomaly.note = note;
+    anomaly.labeledBy = label === null ? undefined : req.user._id;
+    anomaly.labeledAt = label === null ? undefined : new Date();
+    await anomaly.save();
+
+    // Thresholds depend on false positive labels
+    forgetSite(req.site._id);
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'anomaly_labeled',
+      details: { site: req.site.slug, anomaly: anomaly._id, metric: anomaly.metric, from: previous, to: label },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: label === null ? 'Anomaly label cleared' : `Anomaly labeled ${label}`,
+      data: anomaly,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
+    console.error('Error labeling anomaly:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+module.exports = router;
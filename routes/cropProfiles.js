@@ -0,0 +1,307 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CropProfile = require('../models/CropProfile');
+const { Threshold, ActivityLog } = require('../models');
+const { protect, adminOnly, allowWrite } = require('../middleware/auth');
+const { resolveSite } = require('../middleware/site');
+const { applyThresholds } = require('../services/thresholds');
+
+// All crop profile routes require authentication
+router.use(protect);
+
+// Pick profile fields from a request body. Threshold values are set
+// per field so updates may send only the ones that change.
+const pickProfile = (body) => {
+  const data = {};
+  for (const key of ['name', 'description']) {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  }
+  if (body.thresholds && typeof body.thresholds === 'object') {
+    for (const [field, value] of Object.entries(body.thresholds)) {
+      data[`thresholds.${field}`] = value;
+    }
+  }
+  return data;
+};
+
+// Find a profile by id (null for malformed ids)
+const findProfile = (id) => (mongoose.isValidObjectId(id) ? CropProfile.findById(id) : null);
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+// ===================================================================
+// @route   GET /api/crop-profiles
+// @desc    List crop profiles (built-in library first)
+// @access  Private
+// ===================================================================
+router.get('/', async (req, res) => {
+  try {
+    await CropProfile.seedBuiltIns();
+
+    const profiles = await CropProfile.find().sort({ builtIn: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: profiles.length,
+      data: profiles,
+    });
+
+  } catch (error) {
+    console.error('Error fetching crop profiles:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/crop-profiles/:id
+// @desc    Get a crop profile
+// @access  Private
+// ===================================================================
+router.get('/:id', async (req, res) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crop profile not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: profile,
+    });
+
+  } catch (error) {
+    console.error('Error fetching crop profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   POST /api/crop-profiles
+// @desc    Create a crop profile (all threshold fields required)
+// @access  Admin
+// ===================================================================
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const data = pickProfile(req.body);
+
+    if (data.name && await CropProfile.exists({ name: String(data.name).trim() })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A crop profile with this name already exists',
+      });
+    }
+
+    const profile = new CropProfile({ createdBy: req.user._id });
+    profile.set(data);
+    await profile.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'crop_profile_created',
+      details: { profile: profile.name },
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Crop profile ${profile.name} created`,
+      data: profile,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: validationMessage(error),
+      });
+    }
+    console.error('Error creating crop profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   PUT /api/crop-profiles/:id
+// @desc    Update a crop profile (greenhouses using it keep their
+//          values until the profile is applied again)
+// @access  Admin
+// ===================================================================
+router.put('/:id', adminOnly, async (req, res) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crop profile not found',
+      });
+    }
+
+    if (profile.builtIn) {
+      return res.status(403).json({
+        success: false,
+        error: 'Built-in profiles cannot be changed — create a copy instead',
+      });
+    }
+
+    const data = pickProfile(req.body);
+
+    if (data.name && await CropProfile.exists({ name: String(data.name).trim(), _id: { $ne: profile._id } })) {
+      return res.status(400).json({
+        success: false,
+        error: 'A crop profile with this name already exists',
+      });
+    }
+
+    profile.set(data);
+    await profile.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'crop_profile_updated',
+      details: { profile: profile.name, changed: Object.keys(data) },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Crop profile ${profile.name} updated`,
+      data: profile,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: validationMessage(error),
+      });
+    }
+    console.error('Error updating crop profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   DELETE /api/crop-profiles/:id
+// @desc    Delete a crop profile (greenhouses using it keep their values)
+// @access  Admin
+// ===================================================================
+router.delete('/:id', adminOnly, async (req, res) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crop profile not found',
+      });
+    }
+
+    if (profile.builtIn) {
+      return res.status(403).json({
+        success: false,
+        error: 'Built-in profiles cannot be deleted',
+      });
+    }
+
+    await Threshold.updateMany({ activeProfile: profile._id }, { $unset: { activeProfile: 1 } });
+    await profile.deleteOne();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'crop_profile_deleted',
+      details: { profile: profile.name },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Crop profile ${profile.name} deleted`,
+    });
+
+  } catch (error) {
+    console.error('Error deleting crop profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   POST /api/crop-profiles/:id/apply
+// @desc    Apply a profile's thresholds to a greenhouse (?site=) and
+//          sync them to its Pi
+// @access  Private (write permission)
+// ===================================================================
+router.post('/:id/apply', allowWrite, resolveSite, async (req, res) => {
+  try {
+    const profile = await findProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'Crop profile not found',
+      });
+    }
+
+    const { errors, thresholds, revision } = await applyThresholds(req.site, profile.thresholds, {
+      user: req.user,
+      ip: req.ip,
+      io: req.app.get('io'),
+      source: 'profile',
+      profile: profile._id,
+      details: { profile: profile.name },
+      enforceLimits: !req.user.isAdmin(),
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(errors).join(', '),
+        errors,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: thresholds,
+      revision,
+      message: `Crop profile ${profile.name} applied to ${req.site.name}`,
+    });
+
+  } catch (error) {
+    console.error('Error applying crop profile:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const Greenhouse = require('../models/Greenhouse');
+const SensorHealth = require('../models/SensorHealth');
+const Anomaly = require('../models/Anomaly');
+const Schedule = require('../models/Schedule');
+const ThresholdSchedule = require('../models/ThresholdSchedule');
+const Interlock = require('../models/Interlock');
+const ManualOverride = require('../models/ManualOverride');
+const Command = require('../models/Command');
+const AlertRule = require('../models/AlertRule');
+const NotificationChannel = require('../models/NotificationChannel');
+const {
+  ActivityLog, Threshold, PiStatus, PiStatusHistory, AnomalyBaseline, ScheduleRun, UsageRate,
+} = require('../models');
+const { protect, adminOnly, headAdminOnly } = require('../middleware/auth');
+const { resetRule } = require('../services/alertEngine');
+
+// All greenhouse routes require authentication
+router.use(protect);
+
+// Fields admins may set on a greenhouse
+const editableFields = ['name', 'slug', 'description', 'location', 'timezone', 'piBaseUrl'];
+
+// Pick editable fields from a request body
+const pickEditable = (body) => {
+  const data = {};
+  for (const key of editableFields) {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  }
+  return data;
+};
+
+// ===================================================================
+// @route   GET /api/greenhouses
+// @desc    List all greenhouses
+// @access  Private
+// ===================================================================
+router.get('/', async (req, res) => {
+  try {
+    // Make sure the default greenhouse exists before listing
+    await Greenhouse.getDefault();
+
+    const greenhouses = await Greenhouse.find().sort({ isDefault: -1, name: 1 });
+
+    res.json({
+      success: true,
+      count: greenhouses.length,
+      data: greenhouses,
+    });
+
+  } catch (error) {
+    console.error('Error fetching greenhouses:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/greenhouses/:id
+// @desc    Get a greenhouse with its latest Pi status (id or slug)
+// @access  Private
+// ===================================================================
+router.get('/:id', async (req, res) => {
+  try {
+    const greenhouse = await Greenhouse.findByRef(req.params.id);
+
+    if (!greenhouse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Greenhouse not found',
+      });
+    }
+
+    const piStatus = await PiStatus.findOne({ site: greenhouse._id }).lean();
+
+    res.json({
+      success: true,
+      data: {
+        ...greenhouse.toObject(),
+        piStatus,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching greenhouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   POST /api/greenhouses
+// @desc    Create a greenhouse
+// @access  Admin
+// ===================================================================
+router.post('/', adminOnly, async (req, res) => {
+  try {
+    const data = pickEditable(req.body);
+
+    if (!data.name || !data.slug) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name and slug are required',
+      });
+    }
+
+    const existing = await Greenhouse.findOne({ slug: String(data.slug).toLowerCase() });
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        error: 'Slug already in use',
+      });
+    }
+
+    // Make sure pre-existing data is attached to the default greenhouse
+    // before a second one appears
+    await Greenhouse.getDefault();
+
+    const greenhouse = await Greenhouse.create({
+      ...data,
+      createdBy: req.user._id,
+    });
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'greenhouse_created',
+      details: { greenhouse: greenhouse.slug },
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Greenhouse ${greenhouse.name} created`,
+      data: greenhouse,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
+    console.error('Error creating greenhouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   PUT /api/greenhouses/:id
+// @desc    Update a greenhouse
+// @access  Admin
+// ===================================================================
+router.put('/:id', adminOnly, async (req, res) => {
+  try {
+    const greenhouse = await Greenhouse.findByRef(req.params.id);
+
+    if (!greenhouse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Greenhouse not found',
+      });
+    }
+
+    const data = pickEditable(req.body);
+
+    if (data.slug && String(data.slug).toLowerCase() !== greenhouse.slug) {
+      const existing = await Greenhouse.findOne({ slug: String(data.slug).toLowerCase() });
+      if (existing) {
+        return res.status(400).json({
+          success: false,
+          error: 'Slug already in use',
+        });
+      }
+    }
+
+    Object.assign(greenhouse, data);
+    await greenhouse.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'greenhouse_updated',
+      details: { greenhouse: greenhouse.slug, changed: Object.keys(data) },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Greenhouse updated successfully',
+      data: greenhouse,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
+    console.error('Error updating greenhouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   DELETE /api/greenhouses/:id
+// @desc    Delete a greenhouse (history is kept, its settings, schedules,
+//          commands and status are removed)
+// @access  Head Admin only
+// ===================================================================
+router.delete('/:id', headAdminOnly, async (req, res) => {
+  try {
+    const greenhouse = await Greenhouse.findByRef(req.params.id);
+
+    if (!greenhouse) {
+      return res.status(404).json({
+        success: false,
+        error: 'Greenhouse not found',
+      });
+    }
+
+    if (greenhouse.isDefault) {
+      return res.status(403).json({
+        success: false,
+        error: 'Cannot delete the default greenhouse',
+      });
+    }
+
+    // Configuration and state of the greenhouse (readings, events and
+    // alerts stay as history)
+    const siteModels = [
+      Threshold, PiStatus, PiStatusHistory, SensorHealth, Anomaly, AnomalyBaseline,
+      Schedule, ScheduleRun, ThresholdSchedule, Interlock, ManualOverride, Command,
+      AlertRule, UsageRate,
+    ];
+    const rules = await AlertRule.find({ site: greenhouse._id }).select('_id');
+    for (const model of siteModels) {
+      await model.deleteMany({ site: greenhouse._id });
+    }
+    // Notification channels stop naming it. One that watched only this
+    // greenhouse is disabled — an empty list would mean every greenhouse.
+    await NotificationChannel.updateMany({ sites: [greenhouse._id] }, { enabled: false });
+    await NotificationChannel.updateMany({ sites: greenhouse._id }, { $pull: { sites: greenhouse._id } });
+    await greenhouse.deleteOne();
+
+    // Resolve alerts the greenhouse's own rules left open
+    for (const rule of rules) {
+      await resetRule(req.app.get('io'), rule._id);
+    }
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'greenhouse_deleted',
+      details: { greenhouse: greenhouse.slug },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Greenhouse ${greenhouse.name} deleted successfully`,
+    });
+
+  } catch (error) {
+    console.error('Error deleting greenhouse:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+module.exports = router;
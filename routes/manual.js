@@ -1,20 +1,48 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
+const Command = require('../models/Command');
 const { ActivityLog } = require('../models');
-const { protect, allowWrite } = require('../middleware/auth');
-const axios = require('axios');
+const { protect, adminOnly, allowWrite } = require('../middleware/auth');
+const { resolveSite } = require('../middleware/site');
+const { queueCommand } = require('../services/commands');
+const { startOverride, endOverrides, getActiveOverrides } = require('../services/overrides');
+const { getInterlocks, checkCommand } = require('../services/interlocks');
 
-// All routes require authentication and write permission
-router.use(protect, allowWrite);
+// Longest timed override (seconds)
+const MAX_OVERRIDE_SECONDS = 24 * 60 * 60;
+
+// All routes require authentication and act on the Pi of the greenhouse
+// named by `site` (defaults to the main greenhouse)
+router.use(protect, resolveSite);
+
+// Respond with a queued command: 200 once the Pi executed it, 202 while
+// it waits for the Pi to fetch it
+const sendCommand = (res, command, message, extra = {}) => {
+  const executed = command.status === 'executed';
+
+  res.status(executed ? 200 : 202).json({
+    success: true,
+    message: executed ? message : `${message} (queued for the greenhouse controller)`,
+    data: executed ? command.result : undefined,
+    command,
+    ...extra,
+  });
+};
 
 // ===================================================================
 // @route   POST /api/manual/control
-// @desc    Manual control of actuators
+// @desc    Manual control of actuators. With `duration` (seconds) the
+//          override is reverted automatically when it runs out:
+//          `onExpiry` 'auto' resumes automatic mode (default), 'off'
+//          switches the actuator off. Commands that break an interlock
+//          rule are rejected with 409 and the violated rules; untimed
+//          commands on actuators with a run-time limit are timed to it.
 // @access  Private (write permission)
 // ===================================================================
-router.post('/control', async (req, res) => {
+router.post('/control', allowWrite, async (req, res) => {
   try {
-    const { actuator, state, pwm } = req.body;
+    const { actuator, state, pwm, duration, onExpiry = 'auto' } = req.body;
 
     const validActuators = [
       'pump_water', 'pump_nutrient',
@@ -36,65 +64,72 @@ router.post('/control', async (req, res) => {
       });
     }
 
+    if (duration !== undefined &&
+        (!Number.isInteger(duration) || duration < 1 || duration > MAX_OVERRIDE_SECONDS)) {
+      return res.status(400).json({
+        success: false,
+        error: `Duration must be a whole number of seconds between 1 and ${MAX_OVERRIDE_SECONDS}`,
+      });
+    }
+
+    if (!['auto', 'off'].includes(onExpiry)) {
+      return res.status(400).json({
+        success: false,
+        error: 'onExpiry must be auto or off',
+      });
+    }
+
     // Build command for Pi
-    const command = {
+    const payload = {
       actuator,
       state,
     };
 
     if (pwm !== undefined && (actuator === 'fan_exhaust' || actuator === 'peltier')) {
-      command.pwm = Math.max(0, Math.min(255, parseInt(pwm)));
+      payload.pwm = Math.max(0, Math.min(255, parseInt(pwm)));
     }
 
-    // Send to Pi
-    try {
-      const piBaseUrl = process.env.PI_BASE_URL || 'http://localhost:5000';
-      const piApiKey = process.env.PI_API_KEY;
-
-      const response = await axios.post(
-        `${piBaseUrl}/api/manual`,
-        command,
-        {
-          headers: { 'X-API-Key': piApiKey },
-          timeout: 5000,
-        }
-      );
-
-      // Log activity
+    const check = await checkCommand(req.site, payload, { duration });
+    if (check.violations.length > 0) {
       await ActivityLog.create({
         user: req.user._id,
         username: req.user.username,
-        action: 'manual_control',
-        details: { actuator, state, pwm },
+        action: 'interlock_blocked',
+        details: { site: req.site.slug, actuator, state, pwm, duration, violations: check.violations },
         ipAddress: req.ip,
       });
 
-      // Broadcast to WebSocket clients
-      const io = req.app.get('io');
-      if (io) {
-        io.emit('manual_control', {
-          actuator,
-          state,
-          pwm,
-          controlledBy: req.user.username,
-          timestamp: new Date(),
-        });
-      }
-
-      res.json({
-        success: true,
-        message: `${actuator} ${state ? 'turned ON' : 'turned OFF'}`,
-        data: response.data,
-      });
-
-    } catch (piError) {
-      console.error('Failed to send command to Pi:', piError.message);
-      return res.status(503).json({
+      return res.status(409).json({
         success: false,
-        error: 'Failed to communicate with greenhouse controller',
+        error: check.violations.map(v => v.message).join(', '),
+        violations: check.violations,
       });
     }
 
+    const io = req.app.get('io');
+    const command = await queueCommand(io, req.site, {
+      type: 'manual_control',
+      payload,
+      user: req.user,
+    });
+    const override = await startOverride(io, req.site, command, {
+      duration: check.duration,
+      onExpiry,
+      user: req.user,
+    });
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'manual_control',
+      details: { site: req.site.slug, actuator, state, pwm, duration: check.duration, command: command._id },
+      ipAddress: req.ip,
+    });
+
+    const until = check.duration ? ` for ${check.duration} s` : '';
+    sendCommand(res, command, `${actuator} ${state ? 'turned ON' : 'turned OFF'}${until}`, { override });
+
   } catch (error) {
     console.error('Manual control error:', error);
     res.status(500).json({
@@ -109,49 +144,208 @@ router.post('/control', async (req, res) => {
 // @desc    Resume automatic mode (disable manual override)
 // @access  Private (write permission)
 // ===================================================================
-router.post('/auto', async (req, res) => {
+router.post('/auto', allowWrite, async (req, res) => {
   try {
-    const piBaseUrl = process.env.PI_BASE_URL || 'http://localhost:5000';
-    const piApiKey = process.env.PI_API_KEY;
-
-    const response = await axios.post(
-      `${piBaseUrl}/api/auto`,
-      {},
-      {
-        headers: { 'X-API-Key': piApiKey },
-        timeout: 5000,
-      }
-    );
+    const command = await queueCommand(req.app.get('io'), req.site, {
+      type: 'resume_auto',
+      user: req.user,
+    });
+    await endOverrides(req.site);
 
     // Log activity
     await ActivityLog.create({
       user: req.user._id,
       username: req.user.username,
       action: 'manual_control',
-      details: { action: 'resume_auto' },
+      details: { site: req.site.slug, action: 'resume_auto', command: command._id },
       ipAddress: req.ip,
     });
 
-    // Broadcast
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('auto_mode_resumed', {
-        resumedBy: req.user.username,
-        timestamp: new Date(),
+    sendCommand(res, command, 'Automatic mode resumed');
+
+  } catch (error) {
+    console.error('Auto mode error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/manual/overrides
+// @desc    Actuators currently in manual override, with the seconds
+//          timed ones have left (`remainingSeconds`, null = untimed)
+// @access  Private
+// ===================================================================
+router.get('/overrides', async (req, res) => {
+  try {
+    const overrides = await getActiveOverrides(req.site);
+
+    res.json({
+      success: true,
+      count: overrides.length,
+      data: overrides,
+    });
+
+  } catch (error) {
+    console.error('Error fetching overrides:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/manual/interlocks
+// @desc    Interlock rules of a greenhouse (defaults until changed)
+// @access  Private
+// ===================================================================
+router.get('/interlocks', async (req, res) => {
+  try {
+    const interlocks = await getInterlocks(req.site);
+
+    res.json({
+      success: true,
+      data: interlocks,
+    });
+
+  } catch (error) {
+    console.error('Error fetching interlocks:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   PUT /api/manual/interlocks
+// @desc    Change interlock rules ({ enabled, rules, readingMaxAgeSeconds });
+//          `rules` replaces the whole rule list
+// @access  Admin
+// ===================================================================
+router.put('/interlocks', adminOnly, async (req, res) => {
+  try {
+    const { enabled, rules, readingMaxAgeSeconds } = req.body;
+
+    if (rules !== undefined && !Array.isArray(rules)) {
+      return res.status(400).json({
+        success: false,
+        error: 'rules must be an array',
       });
     }
 
+    const interlocks = await getInterlocks(req.site);
+
+    if (enabled !== undefined) interlocks.enabled = enabled;
+    if (rules !== undefined) interlocks.rules = rules;
+    if (readingMaxAgeSeconds !== undefined) interlocks.readingMaxAgeSeconds = readingMaxAgeSeconds;
+    interlocks.updatedBy = req.user._id;
+    await interlocks.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'interlocks_changed',
+      details: {
+        site: req.site.slug,
+        enabled: interlocks.enabled,
+        rules: interlocks.rules.length,
+      },
+      ipAddress: req.ip,
+    });
+
     res.json({
       success: true,
-      message: 'Automatic mode resumed',
-      data: response.data,
+      message: 'Interlocks saved',
+      data: interlocks,
     });
 
   } catch (error) {
-    console.error('Auto mode error:', error);
-    res.status(503).json({
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', '),
+      });
+    }
+    console.error('Error saving interlocks:', error);
+    res.status(500).json({
       success: false,
-      error: 'Failed to communicate with greenhouse controller',
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/manual/commands?status=queued,delivered&limit=50
+// @desc    Recent commands of a greenhouse, newest first
+// @access  Private
+// ===================================================================
+router.get('/commands', async (req, res) => {
+  try {
+    const filter = { site: req.site._id };
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    if (typeof req.query.status === 'string') {
+      const valid = Command.schema.path('status').enumValues;
+      const statuses = req.query.status.split(',');
+      if (statuses.some(status => !valid.includes(status))) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Valid options: ${valid.join(', ')}`,
+        });
+      }
+      filter.status = { $in: statuses };
+    }
+
+    const commands = await Command.find(filter).sort({ createdAt: -1 }).limit(limit);
+
+    res.json({
+      success: true,
+      count: commands.length,
+      data: commands,
+    });
+
+  } catch (error) {
+    console.error('Error fetching commands:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/manual/commands/:id
+// @desc    One command and its current state
+// @access  Private
+// ===================================================================
+router.get('/commands/:id', async (req, res) => {
+  try {
+    const command = mongoose.isValidObjectId(req.params.id)
+      ? await Command.findOne({ _id: req.params.id, site: req.site._id })
+      : null;
+
+    if (!command) {
+      return res.status(404).json({
+        success: false,
+        error: 'Command not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: command,
+    });
+
+  } catch (error) {
+    console.error('Error fetching command:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
     });
   }
 });
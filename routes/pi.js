@@ -1,20 +1,121 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Reading = require('../models/Reading');
-const { Event, PiStatus, SystemAlert } = require('../models');
-const { piAuth } = require('../middleware/auth');
+const Command = require('../models/Command');
+const { Event, PiStatus, PiStatusHistory, RejectedReading } = require('../models');
+const { protect, piAuth, verifyPiSignature } = require('../middleware/auth');
+const { resolveSite } = require('../middleware/site');
+const { emitToSite } = require('../utils/socket');
+const { validateReading } = require('../utils/readingValidation');
+const { evaluateReadings } = require('../services/alertEngine');
+const { scoreReadings } = require('../services/anomalies');
+const { recordAlert } = require('../services/alerts');
+const { checkPiThresholds } = require('../services/thresholds');
+const { takeCommands, completeCommand } = require('../services/commands');
+const { OFFLINE_MS, watchHeartbeat, getAvailability } = require('../services/piWatchdog');
 
-// All Pi routes require API key authentication
-router.use(piAuth);
+// ===================================================================
+// @route   GET /api/pi/status
+// @desc    A greenhouse's Pi status with online/offline state and
+//          availability over the last 24 hours, 7 and 30 days
+// @access  Private (user)
+// ===================================================================
+router.get('/status', protect, resolveSite, async (req, res) => {
+  try {
+    const [status, availability] = await Promise.all([
+      PiStatus.findOne({ site: req.site._id }).lean(),
+      getAvailability(req.site._id),
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        status,
+        offlineAfterSeconds: OFFLINE_MS / 1000,
+        availability,
+      },
+    });
+
+  } catch (error) {
+    console.error('Error fetching Pi status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/pi/status/history?event=offline&page=1&limit=50
+// @desc    Connectivity changes of a greenhouse's Pi, newest first
+// @access  Private (user)
+// ===================================================================
+router.get('/status/history', protect, resolveSite, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = { site: req.site._id };
+
+    if (typeof req.query.event === 'string') {
+      const valid = PiStatusHistory.schema.path('event').enumValues;
+      const events = req.query.event.split(',');
+      if (events.some(event => !valid.includes(event))) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid event. Valid options: ${valid.join(', ')}`,
+        });
+      }
+      filter.event = { $in: events };
+    }
+
+    const [history, total] = await Promise.all([
+      PiStatusHistory.find(filter)
+        .sort({ at: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      PiStatusHistory.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: history.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: history,
+    });
+
+  } catch (error) {
+    console.error('Error fetching Pi status history:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// All other Pi routes require a device API key and a signed, fresh
+// request; data is attributed to the device and the greenhouse it is
+// enrolled in
+router.use(piAuth, verifyPiSignature);
+
+const ALERT_LEVELS = ['INFO', 'WARNING', 'ERROR', 'CRITICAL'];
 
 // ===================================================================
 // @route   POST /api/pi/readings
-// @desc    Receive batch of sensor readings from Pi
+// @desc    Receive batch of sensor readings from Pi. Readings carry a
+//          stable `reading_id` (or the batch a `batch_id`, from which
+//          per-reading ids are derived) so re-posting a batch whose
+//          response was lost inserts nothing twice. Malformed readings
+//          are logged to RejectedReading; implausible values are stored
+//          with quality flags. New readings are checked against the
+//          alert rules.
 // @access  Pi (API key)
 // ===================================================================
 router.post('/readings', async (req, res) => {
   try {
-    const { readings } = req.body;
+    const { readings, batch_id } = req.body;
 
     if (!readings || !Array.isArray(readings)) {
       return res.status(400).json({
@@ -23,24 +124,78 @@ router.post('/readings', async (req, res) => {
       });
     }
 
-    // Insert all readings
-    const inserted = await Reading.insertMany(
-      readings.map(r => ({
+    if (batch_id !== undefined && typeof batch_id !== 'string') {
+      return res.status(400).json({
+        success: false,
+        error: 'batch_id must be a string',
+      });
+    }
+
+    const docs = [];
+    const rejected = [];
+
+    readings.forEach((r, i) => {
+      const readingId = r && r.reading_id !== undefined
+        ? String(r.reading_id)
+        : (batch_id ? `${batch_id}:${i}` : undefined);
+
+      const { errors, quality, qualityDetails } = validateReading(r);
+
+      if (errors) {
+        rejected.push({
+          site: req.site._id,
+          device: req.device._id,
+          reading_id: readingId,
+          reasons: errors,
+          payload: r,
+        });
+        return;
+      }
+
+      docs.push({
         ...r,
+        reading_id: readingId,
+        batch_id: batch_id || r.batch_id,
+        quality,
+        quality_details: qualityDetails,
+        site: req.site._id,
+        device: req.device._id,
         received_at: new Date(),
         recorded_at: r.recorded_at ? new Date(r.recorded_at) : new Date(),
-      }))
-    );
+      });
+    });
 
-    // Broadcast to connected WebSocket clients
-    const io = req.app.get('io');
-    if (io && inserted.length > 0) {
-      io.emit('new_reading', inserted[inserted.length - 1]); // Latest reading
+    if (rejected.length > 0) {
+      await RejectedReading.insertMany(rejected);
+    }
+
+    // Insert all readings, skipping ones we already have
+    const { inserted, duplicateIndexes } = await Reading.insertIdempotent(docs);
+
+    // Broadcast to dashboards watching this greenhouse
+    if (inserted.length > 0) {
+      emitToSite(req.app.get('io'), req.site._id, 'new_reading', inserted[inserted.length - 1]); // Latest reading
+
+      // Check alert rules and score anomalies in the background (doesn't delay the Pi)
+      evaluateReadings(req.app.get('io'), req.site, inserted);
+      scoreReadings(req.app.get('io'), req.site, inserted);
     }
 
+    // Ids the Pi can drop from its buffer: stored now or on an earlier upload
+    const acceptedIds = [
+      ...inserted.map(r => r.reading_id),
+      ...duplicateIndexes.map(i => docs[i].reading_id),
+    ].filter(Boolean);
+
     res.json({
       success: true,
       count: inserted.length,
+      inserted: inserted.length,
+      duplicates: duplicateIndexes.length,
+      rejected: rejected.length,
+      failed: docs.length - inserted.length - duplicateIndexes.length,
+      accepted_ids: acceptedIds,
+      rejected_ids: rejected.map(r => r.reading_id).filter(Boolean),
     });
 
   } catch (error) {
@@ -71,6 +226,8 @@ router.post('/events', async (req, res) => {
     const inserted = await Event.insertMany(
       events.map(e => ({
         ...e,
+        site: req.site._id,
+        device: req.device._id,
         received_at: new Date(),
         recorded_at: e.recorded_at ? new Date(e.recorded_at) : new Date(),
       }))
@@ -78,11 +235,9 @@ router.post('/events', async (req, res) => {
 
     // Broadcast events
     const io = req.app.get('io');
-    if (io && inserted.length > 0) {
-      inserted.forEach(event => {
-        io.emit('automation_event', event);
-      });
-    }
+    inserted.forEach(event => {
+      emitToSite(io, req.site._id, 'automation_event', event);
+    });
 
     res.json({
       success: true,
@@ -100,23 +255,32 @@ router.post('/events', async (req, res) => {
 
 // ===================================================================
 // @route   POST /api/pi/heartbeat
-// @desc    Pi status heartbeat
+// @desc    Pi status heartbeat. An optional `thresholds` object (the
+//          values the Arduino is running) is checked for drift; thresholds
+//          waiting to sync are pushed once the Pi is heard from. The
+//          watchdog notes the Pi back online and Arduino changes.
 // @access  Pi (API key)
 // ===================================================================
 router.post('/heartbeat', async (req, res) => {
   try {
     const statusData = req.body;
+    const io = req.app.get('io');
 
-    await PiStatus.updateStatus(statusData);
+    const previous = await PiStatus.findOne({ site: req.site._id }).lean();
+    const status = await PiStatus.updateStatus(req.site._id, { ...statusData, device: req.device._id });
 
     // Broadcast status to clients
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('pi_status', statusData);
-    }
+    emitToSite(io, req.site._id, 'pi_status', statusData);
 
     res.json({ success: true });
 
+    watchHeartbeat(io, previous, status)
+      .catch(error => console.error('Pi watchdog failed:', error));
+
+    // After responding: the push calls back into the Pi's own API
+    checkPiThresholds(io, req.site, statusData.thresholds)
+      .catch(error => console.error('Threshold sync check failed:', error));
+
   } catch (error) {
     console.error('Heartbeat error:', error);
     res.status(500).json({
@@ -128,7 +292,9 @@ router.post('/heartbeat', async (req, res) => {
 
 // ===================================================================
 // @route   POST /api/pi/alerts
-// @desc    Receive system alerts from Pi
+// @desc    Receive system alerts from Pi. Identical unresolved alerts
+//          are grouped (occurrence count); new ones are also sent to
+//          notification channels.
 // @access  Pi (API key)
 // ===================================================================
 router.post('/alerts', async (req, res) => {
@@ -142,27 +308,36 @@ router.post('/alerts', async (req, res) => {
       });
     }
 
-    const inserted = await SystemAlert.insertMany(
-      alerts.map(a => ({
-        ...a,
-        source: 'pi',
-        timestamp: a.timestamp ? new Date(a.timestamp) : new Date(),
-      }))
-    );
+    const invalid = alerts.findIndex(a => !a || !ALERT_LEVELS.includes(a.level) || typeof a.message !== 'string' || !a.message);
+    if (invalid !== -1) {
+      return res.status(400).json({
+        success: false,
+        error: `Alert ${invalid}: level (${ALERT_LEVELS.join(', ')}) and message required`,
+      });
+    }
 
-    // Broadcast critical alerts immediately
+    // Repeats of an unresolved alert only bump its occurrence count.
+    // New alerts are broadcast (CRITICAL/ERROR) and sent to notification
+    // channels.
     const io = req.app.get('io');
-    if (io) {
-      inserted.forEach(alert => {
-        if (alert.level === 'CRITICAL' || alert.level === 'ERROR') {
-          io.emit('system_alert', alert);
-        }
+    let created = 0;
+    for (const a of alerts) {
+      const alert = await recordAlert(io, {
+        site: req.site._id,
+        device: req.device._id,
+        level: a.level,
+        message: a.message,
+        source: 'pi',
+        timestamp: a.timestamp ? new Date(a.timestamp) : new Date(),
       });
+      if (alert.occurrences === 1) created++;
     }
 
     res.json({
       success: true,
-      count: inserted.length,
+      count: alerts.length,
+      created,
+      duplicates: alerts.length - created,
     });
 
   } catch (error) {
@@ -174,4 +349,90 @@ router.post('/alerts', async (req, res) => {
   }
 });
 
+// ===================================================================
+// @route   GET /api/pi/commands
+// @desc    Commands queued for this Pi, oldest first. Fetched commands
+//          become `delivered`; unacknowledged ones are returned again
+//          until acknowledged or expired, so the Pi must skip ids it has
+//          already run.
+// @access  Pi (API key)
+// ===================================================================
+router.get('/commands', async (req, res) => {
+  try {
+    const commands = await takeCommands(req.app.get('io'), req.device);
+
+    res.json({
+      success: true,
+      count: commands.length,
+      data: commands.map(command => ({
+        id: command._id,
+        type: command.type,
+        payload: command.payload,
+        createdAt: command.createdAt,
+        expiresAt: command.expiresAt,
+      })),
+    });
+
+  } catch (error) {
+    console.error('Command fetch error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch commands',
+    });
+  }
+});
+
+// ===================================================================
+// @route   POST /api/pi/commands/:id/ack
+// @desc    Report the outcome of a command
+//          ({ status: 'executed'|'failed', result, error }). Acks of
+//          expired commands are still taken: the command may have run.
+// @access  Pi (API key)
+// ===================================================================
+router.post('/commands/:id/ack', async (req, res) => {
+  try {
+    const { status, result, error } = req.body;
+
+    if (!['executed', 'failed'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Status must be executed or failed',
+      });
+    }
+
+    const command = mongoose.isValidObjectId(req.params.id)
+      ? await Command.findOne({ _id: req.params.id, site: req.site._id })
+      : null;
+
+    if (!command) {
+      return res.status(404).json({
+        success: false,
+        error: 'Command not found',
+      });
+    }
+
+    if (!['queued', 'delivered', 'expired'].includes(command.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Command already ${command.status}`,
+      });
+    }
+
+    await completeCommand(req.app.get('io'), command, {
+      status,
+      result,
+      error: typeof error === 'string' ? error.slice(0, 500) : undefined,
+    });
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Command ack error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to acknowledge command',
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const { ActivityLog, ScheduleRun } = require('../models');
+const { protect, allowWrite } = require('../middleware/auth');
+const { resolveSite } = require('../middleware/site');
+const { nextRunAt } = require('../services/schedules');
+
+// All routes require authentication and are scoped to a greenhouse
+router.use(protect, resolveSite);
+
+const SCHEDULE_FIELDS = [
+  'name', 'enabled', 'actuator', 'state', 'pwm',
+  'durationSeconds', 'onExpiry', 'rule', 'skipIf',
+];
+
+// Pick schedule fields from a request body
+const pickSchedule = (body) => {
+  const data = {};
+  for (const key of SCHEDULE_FIELDS) {
+    if (body[key] !== undefined) {
+      data[key] = body[key];
+    }
+  }
+  return data;
+};
+
+// Find a schedule of the request's greenhouse (null for malformed ids)
+const findSchedule = (req) => (mongoose.isValidObjectId(req.params.id)
+  ? Schedule.findOne({ _id: req.params.id, site: req.site._id })
+  : null);
+
+const validationMessage = (error) => Object.values(error.errors).map(e => e.message).join(', ');
+
+// Work out when a new or changed schedule is first due
+const reschedule = (schedule, site) => {
+  schedule.nextRunAt = undefined;
+  schedule.nextRunAt = nextRunAt(schedule, site.timezone);
+};
+
+const notFound = (res) => res.status(404).json({
+  success: false,
+  error: 'Schedule not found',
+});
+
+// ===================================================================
+// @route   GET /api/schedules
+// @desc    Actuator schedules of a greenhouse
+// @access  Private
+// ===================================================================
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await Schedule.find({ site: req.site._id }).sort({ actuator: 1, name: 1 });
+
+    res.json({
+      success: true,
+      count: schedules.length,
+      data: schedules,
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedules:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/schedules/:id
+// @desc    Get a schedule
+// @access  Private
+// ===================================================================
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) return notFound(res);
+
+    res.json({
+      success: true,
+      data: schedule,
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/schedules/:id/runs?status=skipped&page=1&limit=50
+// @desc    Run history of a schedule, newest first
+// @access  Private
+// ===================================================================
+router.get('/:id/runs', async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) return notFound(res);
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const filter = { schedule: schedule._id };
+
+    if (typeof req.query.status === 'string') {
+      const valid = ScheduleRun.schema.path('status').enumValues;
+      if (!valid.includes(req.query.status)) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid status. Valid options: ${valid.join(', ')}`,
+        });
+      }
+      filter.status = req.query.status;
+    }
+
+    const [runs, total] = await Promise.all([
+      ScheduleRun.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ScheduleRun.countDocuments(filter),
+    ]);
+
+    res.json({
+      success: true,
+      count: runs.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: runs,
+    });
+
+  } catch (error) {
+    console.error('Error fetching schedule runs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   POST /api/schedules
+// @desc    Create a schedule
+// @access  Private (write permission)
+// ===================================================================
+router.post('/', allowWrite, async (req, res) => {
+  try {
+    const schedule = new Schedule({
+      ...pickSchedule(req.body),
+      site: req.site._id,
+      createdBy: req.user._id,
+      updatedBy: req.user._id,
+    });
+    await schedule.validate();
+    reschedule(schedule, req.site);
+    await schedule.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'schedule_created',
+      details: { site: req.site.slug, schedule: schedule.name, actuator: schedule.actuator },
+      ipAddress: req.ip,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `Schedule ${schedule.name} created`,
+      data: schedule,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: validationMessage(error),
+      });
+    }
+    console.error('Error creating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// Save changes to a schedule (body fields, or just `enabled`) and log them
+const updateSchedule = async (req, res, data) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) return notFound(res);
+
+    schedule.set(data);
+    schedule.updatedBy = req.user._id;
+    await schedule.validate();
+    reschedule(schedule, req.site);
+    await schedule.save();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'schedule_updated',
+      details: { site: req.site.slug, schedule: schedule.name, changed: Object.keys(data) },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Schedule ${schedule.name} updated`,
+      data: schedule,
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: validationMessage(error),
+      });
+    }
+    console.error('Error updating schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// ===================================================================
+// @route   PUT /api/schedules/:id
+// @desc    Update a schedule (only the fields given; `rule` and `skipIf`
+//          are replaced whole)
+// @access  Private (write permission)
+// ===================================================================
+router.put('/:id', allowWrite, (req, res) => updateSchedule(req, res, pickSchedule(req.body)));
+
+// ===================================================================
+// @route   POST /api/schedules/:id/enable
+// @route   POST /api/schedules/:id/disable
+// @desc    Switch a schedule on or off
+// @access  Private (write permission)
+// ===================================================================
+router.post('/:id/enable', allowWrite, (req, res) => updateSchedule(req, res, { enabled: true }));
+router.post('/:id/disable', allowWrite, (req, res) => updateSchedule(req, res, { enabled: false }));
+
+// ===================================================================
+// @route   DELETE /api/schedules/:id
+// @desc    Delete a schedule and its run history
+// @access  Private (write permission)
+// ===================================================================
+router.delete('/:id', allowWrite, async (req, res) => {
+  try {
+    const schedule = await findSchedule(req);
+    if (!schedule) return notFound(res);
+
+    await ScheduleRun.deleteMany({ schedule: schedule._id });
+    await schedule.deleteOne();
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'schedule_deleted',
+      details: { site: req.site.slug, schedule: schedule.name, actuator: schedule.actuator },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: `Schedule ${schedule.name} deleted`,
+    });
+
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+module.exports = router;
@@ -1,21 +1,82 @@
 const express = require('express');
 const router = express.Router();
 const Reading = require('../models/Reading');
-const { Event } = require('../models');
-const { protect } = require('../middleware/auth');
-const ExcelJS = require('exceljs');
+const SensorHealth = require('../models/SensorHealth');
+const { RESOLUTIONS, getRollupModel } = require('../models/Rollup');
+const { Event, Threshold, ActivityLog } = require('../models');
+const { protect, adminOnly } = require('../middleware/auth');
+const { resolveSite } = require('../middleware/site');
+const { buildQualityFilter } = require('../utils/readingValidation');
+const { METRICS, METRIC_BANDS, metricExpression } = require('../utils/metrics');
+const { localDayStart } = require('../utils/clock');
+const {
+  EXPORT_FORMATS, parseColumns, streamReadings, streamWorkbook, buildWorkbook,
+  USAGE_EXPORT_FORMATS, usageCsv, buildUsageWorkbook,
+} = require('../utils/export');
+const { getUsageRates, validateUsageRates, saveUsageRates, usageReport } = require('../services/usage');
+const { SENSOR_CHECKS, evaluateSite } = require('../services/sensorHealth');
+
+// All sensor routes require authentication and are scoped to a greenhouse
+// (`?site=<id|slug>`, defaults to the main greenhouse)
+router.use(protect, resolveSite);
+
+// Reading routes accept `?quality=all|clean|flagged` and
+// `?exclude_flags=out_of_range,sensor_failed,dht_disagreement`
+const parseQuality = (req, res, next) => {
+  const { filter, error } = buildQualityFilter(req.query);
+
+  if (error) {
+    return res.status(400).json({
+      success: false,
+      error,
+    });
+  }
 
-// All sensor routes require authentication
-router.use(protect);
+  req.qualityFilter = filter;
+  next();
+};
+
+// Parse `start`/`end` (YYYY-MM-DD) into whole days.
+// Returns { startDate, endDate } or { error }.
+const parseDateRange = ({ start, end }) => {
+  if (!start || !end) {
+    return { error: 'Start and end dates required (YYYY-MM-DD)' };
+  }
+
+  const startDate = new Date(start);
+  startDate.setHours(0, 0, 0, 0);
+  const endDate = new Date(end);
+  endDate.setHours(23, 59, 59, 999);
+
+  if (isNaN(startDate) || isNaN(endDate) || endDate < startDate) {
+    return { error: 'Invalid date range' };
+  }
+
+  return { startDate, endDate };
+};
+
+// Finest resolution that keeps a range to a chartable number of points
+const DAY = 24 * 60 * 60 * 1000;
+const AUTO_RESOLUTIONS = [
+  { maxSpan: DAY, resolution: 'raw' },
+  { maxSpan: 3 * DAY, resolution: '1m' },
+  { maxSpan: 31 * DAY, resolution: '15m' },
+  { maxSpan: 180 * DAY, resolution: '1h' },
+];
+
+const pickResolution = (spanMs) => {
+  const tier = AUTO_RESOLUTIONS.find(t => spanMs <= t.maxSpan);
+  return tier ? tier.resolution : '1d';
+};
 
 // ===================================================================
 // @route   GET /api/sensors/latest
 // @desc    Get latest sensor reading
 // @access  Private
 // ===================================================================
-router.get('/latest', async (req, res) => {
+router.get('/latest', parseQuality, async (req, res) => {
   try {
-    const latest = await Reading.findOne().sort({ received_at: -1 });
+    const latest = await Reading.findOne({ ...req.qualityFilter, site: req.site._id }).sort({ received_at: -1 });
 
     if (!latest) {
       return res.status(404).json({
@@ -43,9 +104,9 @@ router.get('/latest', async (req, res) => {
 // @desc    Get last 24 hours of data
 // @access  Private
 // ===================================================================
-router.get('/24h', async (req, res) => {
+router.get('/24h', parseQuality, async (req, res) => {
   try {
-    const readings = await Reading.getLast24Hours();
+    const readings = await Reading.getLast24Hours(req.site._id, req.qualityFilter);
 
     res.json({
       success: true,
@@ -67,7 +128,7 @@ router.get('/24h', async (req, res) => {
 // @desc    Get data for a specific date (YYYY-MM-DD)
 // @access  Private
 // ===================================================================
-router.get('/date/:date', async (req, res) => {
+router.get('/date/:date', parseQuality, async (req, res) => {
   try {
     const { date } = req.params;
 
@@ -79,7 +140,7 @@ router.get('/date/:date', async (req, res) => {
       });
     }
 
-    const readings = await Reading.getByDate(date);
+    const readings = await Reading.getByDate(req.site._id, date, req.qualityFilter);
 
     res.json({
       success: true,
@@ -99,35 +160,54 @@ router.get('/date/:date', async (req, res) => {
 
 // ===================================================================
 // @route   GET /api/sensors/range
-// @desc    Get data for a date range
+// @desc    Get data for a date range. `resolution` is raw, 1m, 15m, 1h,
+//          1d or auto (default: picked from the span — raw up to a day,
+//          then rollups). Rollups contain min/max/avg per metric and
+//          actuator duty cycles; quality filters only apply to raw data.
 // @access  Private
 // ===================================================================
-router.get('/range', async (req, res) => {
+router.get('/range', parseQuality, async (req, res) => {
   try {
-    const { start, end } = req.query;
+    const { start, end, resolution: requested = 'auto' } = req.query;
 
-    if (!start || !end) {
+    const { startDate, endDate, error: rangeError } = parseDateRange(req.query);
+    if (rangeError) {
       return res.status(400).json({
         success: false,
-        error: 'Start and end dates required (YYYY-MM-DD)',
+        error: rangeError,
       });
     }
 
-    const startDate = new Date(start);
-    startDate.setHours(0, 0, 0, 0);
-    const endDate = new Date(end);
-    endDate.setHours(23, 59, 59, 999);
+    const validResolutions = ['auto', 'raw', ...Object.keys(RESOLUTIONS)];
+    if (!validResolutions.includes(requested)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid resolution. Valid options: ${validResolutions.join(', ')}`,
+      });
+    }
 
-    const readings = await Reading.find({
-      received_at: { $gte: startDate, $lte: endDate }
-    }).sort({ received_at: 1 }).lean();
+    const resolution = requested === 'auto'
+      ? pickResolution(endDate - startDate)
+      : requested;
+
+    const data = resolution === 'raw'
+      ? await Reading.find({
+        ...req.qualityFilter,
+        site: req.site._id,
+        received_at: { $gte: startDate, $lte: endDate }
+      }).sort({ received_at: 1 }).lean()
+      : await getRollupModel(resolution).find({
+        site: req.site._id,
+        bucket: { $gte: startDate, $lte: endDate },
+      }).sort({ bucket: 1 }).lean();
 
     res.json({
       success: true,
       start,
       end,
-      count: readings.length,
-      data: readings,
+      resolution,
+      count: data.length,
+      data,
     });
 
   } catch (error) {
@@ -139,12 +219,379 @@ router.get('/range', async (req, res) => {
   }
 });
 
+// ===================================================================
+// @route   GET /api/sensors/stats
+// @desc    Aggregate statistics per metric grouped by hour/day/week:
+//          min, max, mean, stddev, percentiles, plus time-in-band
+//          against the greenhouse's current thresholds
+// @access  Private
+// ===================================================================
+const STATS_GROUPS = ['hour', 'day', 'week'];
+
+// Aggregation accumulators for one metric (stats + threshold bands)
+const statsAccumulators = (metric, thresholds, percentiles) => {
+  const value = metricExpression(metric);
+  const isValue = { $isNumber: value };
+  const countIf = (condition) => ({ $sum: { $cond: [{ $and: [isValue, condition] }, 1, 0] } });
+  const { low, high } = METRIC_BANDS[metric];
+
+  const group = {
+    [`${metric}_count`]: { $sum: { $cond: [isValue, 1, 0] } },
+    [`${metric}_min`]: { $min: value },
+    [`${metric}_max`]: { $max: value },
+    [`${metric}_mean`]: { $avg: value },
+    [`${metric}_stddev`]: { $stdDevPop: value },
+    [`${metric}_below`]: countIf({ $lt: [value, thresholds[low]] }),
+  };
+  if (high) {
+    group[`${metric}_above`] = countIf({ $gt: [value, thresholds[high]] });
+  }
+  if (percentiles.length > 0) {
+    group[`${metric}_percentiles`] = {
+      $percentile: { input: value, p: percentiles.map(p => p / 100), method: 'approximate' },
+    };
+  }
+  return group;
+};
+
+// Shape one $group result into { metric: { min, max, ..., time_in_band } }
+const shapeStats = (row, metrics, thresholds, percentiles) => {
+  const pct = (n, total) => (total > 0 ? Math.round((n / total) * 10000) / 100 : null);
+  const result = {};
+
+  for (const metric of metrics) {
+    const count = row[`${metric}_count`];
+    const { low, high } = METRIC_BANDS[metric];
+    const below = row[`${metric}_below`];
+    const above = high ? row[`${metric}_above`] : count - below;
+
+    result[metric] = {
+      count,
+      min: row[`${metric}_min`],
+      max: row[`${metric}_max`],
+      mean: row[`${metric}_mean`],
+      stddev: row[`${metric}_stddev`],
+      percentiles: Object.fromEntries(percentiles.map((p, i) => [
+        `p${p}`,
+        row[`${metric}_percentiles`] && count > 0 ? row[`${metric}_percentiles`][i] : null,
+      ])),
+      time_in_band: high
+        ? {
+          low: thresholds[low],
+          high: thresholds[high],
+          below_pct: pct(below, count),
+          within_pct: pct(count - below - above, count),
+          above_pct: pct(above, count),
+        }
+        : {
+          target: thresholds[low],
+          below_pct: pct(below, count),
+          at_or_above_pct: pct(above, count),
+        },
+    };
+  }
+
+  return result;
+};
+
+router.get('/stats', parseQuality, async (req, res) => {
+  try {
+    const { startDate, endDate, error: rangeError } = parseDateRange(req.query);
+    if (rangeError) {
+      return res.status(400).json({
+        success: false,
+        error: rangeError,
+      });
+    }
+
+    const groupBy = req.query.group_by || 'day';
+    if (!STATS_GROUPS.includes(groupBy)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid group_by. Valid options: ${STATS_GROUPS.join(', ')}`,
+      });
+    }
+
+    const metrics = req.query.metrics
+      ? String(req.query.metrics).split(',').map(m => m.trim()).filter(Boolean)
+      : METRICS;
+    const unknownMetrics = metrics.filter(m => !METRICS.includes(m));
+    if (metrics.length === 0 || unknownMetrics.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid metrics. Valid options: ${METRICS.join(', ')}`,
+      });
+    }
+
+    const percentiles = req.query.percentiles !== undefined
+      ? String(req.query.percentiles).split(',').filter(Boolean).map(Number)
+      : [50, 90, 95];
+    if (percentiles.some(p => !Number.isFinite(p) || p <= 0 || p >= 100)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Percentiles must be numbers between 0 and 100 (exclusive)',
+      });
+    }
+
+    const thresholds = await Threshold.getCurrent(req.site._id);
+    const timezone = req.site.timezone || 'UTC';
+
+    const accumulators = {};
+    for (const metric of metrics) {
+      Object.assign(accumulators, statsAccumulators(metric, thresholds, percentiles));
+    }
+
+    const [result] = await Reading.aggregate([
+      {
+        $match: {
+          ...req.qualityFilter,
+          site: req.site._id,
+          received_at: { $gte: startDate, $lte: endDate },
+        },
+      },
+      {
+        $facet: {
+          groups: [
+            {
+              $group: {
+                _id: {
+                  $dateTrunc: {
+                    date: '$received_at',
+                    unit: groupBy,
+                    timezone,
+                    ...(groupBy === 'week' ? { startOfWeek: 'monday' } : {}),
+                  },
+                },
+                ...accumulators,
+              },
+            },
+            { $sort: { _id: 1 } },
+          ],
+          overall: [
+            { $group: { _id: null, readings: { $sum: 1 }, ...accumulators } },
+          ],
+        },
+      },
+    ]);
+
+    const overall = result.overall[0];
+
+    res.json({
+      success: true,
+      start: req.query.start,
+      end: req.query.end,
+      group_by: groupBy,
+      timezone,
+      readings: overall ? overall.readings : 0,
+      overall: overall ? shapeStats(overall, metrics, thresholds, percentiles) : null,
+      data: result.groups.map(row => ({
+        period: row._id,
+        metrics: shapeStats(row, metrics, thresholds, percentiles),
+      })),
+    });
+
+  } catch (error) {
+    console.error('Error computing sensor stats:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/sensors/export
+// @desc    Export readings for a date range (start/end, YYYY-MM-DD) as
+//          xlsx (default), csv or ndjson. `columns` picks fields (or
+//          `all`). Workbooks include Summary, Data and Events sheets;
+//          line charts only up to XLSX_CHART_MAX_ROWS readings, larger
+//          workbooks are streamed like CSV/NDJSON.
+// @access  Private
+// ===================================================================
+// Excel's row limit (minus the header row)
+const XLSX_MAX_ROWS = 1048575;
+// Workbooks with charts are built in memory, so only this big
+const XLSX_CHART_MAX_ROWS = 50000;
+
+const CONTENT_TYPES = {
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  csv: 'text/csv; charset=utf-8',
+  ndjson: 'application/x-ndjson',
+};
+
+// Overall and per-hour/day figures for the workbook summary sheet
+const exportSummary = async (match, timezone, byHour) => {
+  const overall = {};
+  const periodAvgs = {};
+  for (const metric of METRICS) {
+    const value = metricExpression(metric);
+    overall[`${metric}_min`] = { $min: value };
+    overall[`${metric}_max`] = { $max: value };
+    overall[`${metric}_avg`] = { $avg: value };
+    overall[`${metric}_count`] = { $sum: { $cond: [{ $isNumber: value }, 1, 0] } };
+  }
+  for (const metric of ['temp', 'hum', 'soil1', 'soil2']) {
+    periodAvgs[metric] = { $avg: `$${metric}` };
+  }
+
+  const [result] = await Reading.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        overall: [{ $group: { _id: null, readings: { $sum: 1 }, ...overall } }],
+        periods: [
+          {
+            $group: {
+              _id: {
+                $dateToString: {
+                  date: '$received_at',
+                  format: byHour ? '%Y-%m-%d %H:00' : '%Y-%m-%d',
+                  timezone,
+                },
+              },
+              count: { $sum: 1 },
+              ...periodAvgs,
+            },
+          },
+          { $sort: { _id: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result.overall[0] || { readings: 0 };
+  return {
+    readings: totals.readings,
+    overall: Object.fromEntries(METRICS.map(metric => [metric, {
+      min: totals[`${metric}_min`],
+      max: totals[`${metric}_max`],
+      avg: totals[`${metric}_avg`],
+      count: totals[`${metric}_count`] || 0,
+    }])),
+    periods: result.periods.map(({ _id, ...period }) => ({ period: _id, ...period })),
+  };
+};
+
+const sendExport = async (req, res, { start, end }) => {
+  const format = req.query.format || 'xlsx';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      success: false,
+      error: `Invalid format. Valid options: ${EXPORT_FORMATS.join(', ')}`,
+    });
+  }
+
+  const { columns, error: columnsError } = parseColumns(req.query.columns);
+  if (columnsError) {
+    return res.status(400).json({
+      success: false,
+      error: columnsError,
+    });
+  }
+
+  const { startDate, endDate, error: rangeError } = parseDateRange({ start, end });
+  if (rangeError) {
+    return res.status(400).json({
+      success: false,
+      error: rangeError,
+    });
+  }
+
+  const range = { $gte: startDate, $lte: endDate };
+  const match = { ...req.qualityFilter, site: req.site._id, received_at: range };
+
+  const total = await Reading.countDocuments(match);
+  if (total === 0) {
+    return res.status(404).json({
+      success: false,
+      error: start === end ? `No data found for ${start}` : `No data found from ${start} to ${end}`,
+    });
+  }
+  if (format === 'xlsx' && total > XLSX_MAX_ROWS) {
+    return res.status(400).json({
+      success: false,
+      error: `${total} readings exceed Excel's row limit. Use format=csv or ndjson, or a shorter range.`,
+    });
+  }
+
+  const name = start === end ? `${req.site.slug}_data_${start}` : `${req.site.slug}_data_${start}_to_${end}`;
+  const readings = () => Reading.find(match).sort({ received_at: 1 }).lean().cursor();
+
+  if (format === 'xlsx') {
+    const timezone = req.site.timezone || 'UTC';
+    const byHour = endDate - startDate <= 2 * DAY;
+    const summary = await exportSummary(match, timezone, byHour);
+    const cursor = readings();
+    const events = Event.find({ site: req.site._id, received_at: range }).sort({ received_at: 1 }).lean().cursor();
+    const options = {
+      meta: {
+        title: `${req.site.name} — sensor export`,
+        range: start === end ? start : `${start} to ${end}`,
+        timezone,
+        periodLabel: byHour ? 'Hour' : 'Day',
+      },
+      summary,
+      readings: cursor,
+      columns,
+      events,
+    };
+
+    try {
+      if (total <= XLSX_CHART_MAX_ROWS) {
+        const buffer = await buildWorkbook(options);
+        res.setHeader('Content-Type', CONTENT_TYPES.xlsx);
+        res.setHeader('Content-Disposition', `attachment; filename=${name}.xlsx`);
+        return res.send(buffer);
+      }
+
+      res.setHeader('Content-Type', CONTENT_TYPES.xlsx);
+      res.setHeader('Content-Disposition', `attachment; filename=${name}.xlsx`);
+      await streamWorkbook(res, options);
+    } finally {
+      await Promise.all([cursor.close(), events.close()]);
+    }
+    return;
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename=${name}.${format}`);
+
+  const cursor = readings();
+  try {
+    await streamReadings(res, cursor, columns, format);
+  } finally {
+    await cursor.close();
+  }
+  res.end();
+};
+
+// Once streaming has started, errors can only abort the download
+const exportFailed = (res, error) => {
+  console.error('Export error:', error);
+  if (res.headersSent) {
+    return res.destroy(error);
+  }
+  res.status(500).json({
+    success: false,
+    error: 'Failed to generate export',
+  });
+};
+
+router.get('/export', parseQuality, async (req, res) => {
+  try {
+    await sendExport(req, res, req.query);
+  } catch (error) {
+    exportFailed(res, error);
+  }
+});
+
 // ===================================================================
 // @route   GET /api/sensors/export/excel
-// @desc    Export data as Excel file (date query param)
+// @desc    Export one day as Excel file (date query param). Same as
+//          /export?start=<date>&end=<date>&format=xlsx
 // @access  Private
 // ===================================================================
-router.get('/export/excel', async (req, res) => {
+router.get('/export/excel', parseQuality, async (req, res) => {
   try {
     const { date } = req.query;
 
@@ -155,74 +602,214 @@ router.get('/export/excel', async (req, res) => {
       });
     }
 
-    const readings = await Reading.getByDate(date);
+    req.query.format = 'xlsx';
+    await sendExport(req, res, { start: date, end: date });
 
-    if (readings.length === 0) {
-      return res.status(404).json({
+  } catch (error) {
+    exportFailed(res, error);
+  }
+});
+
+// Usage report periods and longest range (days)
+const USAGE_GROUPS = ['day', 'week'];
+const USAGE_MAX_DAYS = 92;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse start/end/group of a usage request. The range covers whole days
+// in the greenhouse's timezone (the one usage periods are grouped by).
+// Returns { start, end, group } or { error }.
+const parseUsageQuery = (query, timeZone) => {
+  const { error } = parseDateRange(query);
+  if (error) return { error };
+  if (!DATE_PATTERN.test(query.start) || !DATE_PATTERN.test(query.end)) {
+    return { error: 'Start and end dates must be YYYY-MM-DD' };
+  }
+
+  const startDate = localDayStart(query.start, timeZone);
+  const endDate = new Date(localDayStart(query.end, timeZone, 1) - 1);
+  if (endDate - startDate > USAGE_MAX_DAYS * DAY) {
+    return { error: `Usage reports cover at most ${USAGE_MAX_DAYS} days` };
+  }
+
+  const group = query.group || 'day';
+  if (!USAGE_GROUPS.includes(group)) {
+    return { error: `Invalid group. Valid options: ${USAGE_GROUPS.join(', ')}` };
+  }
+  return { start: startDate, end: endDate, group };
+};
+
+// ===================================================================
+// @route   GET /api/sensors/usage?start=YYYY-MM-DD&end=YYYY-MM-DD&group=day|week&intervals=true
+// @desc    Runtime, switch-ons, estimated litres and kWh per actuator for
+//          each day (or week, starting Monday) in the greenhouse's
+//          timezone; `intervals=true` adds every on-interval
+// @access  Private
+// ===================================================================
+router.get('/usage', async (req, res) => {
+  try {
+    const { error, ...range } = parseUsageQuery(req.query, req.site.timezone || 'UTC');
+    if (error) {
+      return res.status(400).json({
         success: false,
-        error: `No data found for ${date}`,
+        error,
       });
     }
 
-    // Create Excel workbook
-    const workbook = new ExcelJS.Workbook();
-    const worksheet = workbook.addWorksheet('Sensor Data');
-
-    // Headers
-    worksheet.columns = [
-      { header: 'Timestamp', key: 'timestamp', width: 20 },
-      { header: 'Temperature (°C)', key: 'temp', width: 18 },
-      { header: 'Humidity (%)', key: 'hum', width: 15 },
-      { header: 'Soil 1 (%)', key: 'soil1', width: 12 },
-      { header: 'Soil 2 (%)', key: 'soil2', width: 12 },
-      { header: 'Nitrogen (mg/kg)', key: 'n', width: 18 },
-      { header: 'Phosphorus (mg/kg)', key: 'p', width: 18 },
-      { header: 'Potassium (mg/kg)', key: 'k', width: 18 },
-      { header: 'Water Pump', key: 'pump_water', width: 12 },
-      { header: 'Nutrient Pump', key: 'pump_nutrient', width: 15 },
-      { header: 'Exhaust Fan', key: 'fan_exhaust', width: 12 },
-      { header: 'Peltier PWM', key: 'peltier', width: 12 },
-    ];
-
-    // Style header row
-    worksheet.getRow(1).font = { bold: true };
-    worksheet.getRow(1).fill = {
-      type: 'pattern',
-      pattern: 'solid',
-      fgColor: { argb: 'FF4CAF50' }
-    };
+    const report = await usageReport(req.site, { ...range, intervals: req.query.intervals === 'true' });
+
+    res.json({
+      success: true,
+      data: report,
+    });
 
-    // Add data rows
-    readings.forEach(r => {
-      worksheet.addRow({
-        timestamp: r.received_at,
-        temp: r.temp ? r.temp.toFixed(1) : 'N/A',
-        hum: r.hum ? r.hum.toFixed(1) : 'N/A',
-        soil1: r.soil1 ? r.soil1.toFixed(1) : 'N/A',
-        soil2: r.soil2 ? r.soil2.toFixed(1) : 'N/A',
-        n: r.npk && r.npk.ok ? r.npk.n : 'N/A',
-        p: r.npk && r.npk.ok ? r.npk.p : 'N/A',
-        k: r.npk && r.npk.ok ? r.npk.k : 'N/A',
-        pump_water: r.actuators && r.actuators.pump_water ? 'ON' : 'OFF',
-        pump_nutrient: r.actuators && r.actuators.pump_nutrient ? 'ON' : 'OFF',
-        fan_exhaust: r.actuators && r.actuators.fan_exhaust ? 'ON' : 'OFF',
-        peltier: r.actuators && r.actuators.peltier_pwm ? r.actuators.peltier_pwm : 0,
+  } catch (error) {
+    console.error('Error building usage report:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/sensors/usage/export?start&end&group&format=csv|xlsx
+// @desc    Download a usage report (xlsx includes the on-intervals)
+// @access  Private
+// ===================================================================
+router.get('/usage/export', async (req, res) => {
+  try {
+    const format = req.query.format || 'xlsx';
+    if (!USAGE_EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format. Valid options: ${USAGE_EXPORT_FORMATS.join(', ')}`,
       });
+    }
+
+    const { error, ...range } = parseUsageQuery(req.query, req.site.timezone || 'UTC');
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
+
+    const report = await usageReport(req.site, { ...range, intervals: format === 'xlsx' });
+    const { start, end } = req.query;
+    const name = start === end ? `${req.site.slug}_usage_${start}` : `${req.site.slug}_usage_${start}_to_${end}`;
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename=${name}.${format}`);
+
+    if (format === 'csv') {
+      return res.send(usageCsv(report));
+    }
+    res.send(await buildUsageWorkbook({
+      meta: {
+        title: `${req.site.name} — actuator usage`,
+        range: start === end ? start : `${start} to ${end}`,
+        timezone: report.timezone,
+      },
+      report,
+    }));
+
+  } catch (error) {
+    exportFailed(res, error);
+  }
+});
+
+// ===================================================================
+// @route   GET /api/sensors/usage/rates
+// @desc    Pump flow rates (L/min) and power ratings (W) used for estimates
+// @access  Private
+// ===================================================================
+router.get('/usage/rates', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getUsageRates(req.site),
+    });
+
+  } catch (error) {
+    console.error('Error fetching usage rates:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
     });
+  }
+});
 
-    // Set response headers
-    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
-    res.setHeader('Content-Disposition', `attachment; filename=greenhouse_data_${date}.xlsx`);
+// ===================================================================
+// @route   PUT /api/sensors/usage/rates
+// @desc    Change flow rates and power ratings
+//          ({ flowRates: { pump_water: 2.5 }, powerWatts: { peltier: 72 } })
+// @access  Admin
+// ===================================================================
+router.put('/usage/rates', adminOnly, async (req, res) => {
+  try {
+    const error = validateUsageRates(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error,
+      });
+    }
 
-    // Write to response
-    await workbook.xlsx.write(res);
-    res.end();
+    const rates = await saveUsageRates(req.site, req.body, req.user._id);
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'usage_rates_changed',
+      details: { site: req.site.slug, flowRates: req.body.flowRates, powerWatts: req.body.powerWatts },
+      ipAddress: req.ip,
+    });
+
+    res.json({
+      success: true,
+      message: 'Usage rates updated',
+      data: rates,
+    });
 
   } catch (error) {
-    console.error('Excel export error:', error);
+    console.error('Error updating usage rates:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to generate Excel file',
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// @route   GET /api/sensors/health
+// @desc    Health of each sensor (ok, suspect, faulty or unknown) with
+//          the issues found: flatline, missing, failing, divergence
+// @access  Private
+// ===================================================================
+router.get('/health', async (req, res) => {
+  try {
+    let health = await SensorHealth.find({ site: req.site._id });
+    if (health.length === 0) {
+      // Not checked yet (new greenhouse or fresh install)
+      health = await evaluateSite(req.app.get('io'), req.site);
+    }
+
+    const order = Object.keys(SENSOR_CHECKS);
+    health.sort((a, b) => order.indexOf(a.sensor) - order.indexOf(b.sensor));
+
+    res.json({
+      success: true,
+      healthy: health.every(h => h.status === 'ok'),
+      data: health,
+    });
+
+  } catch (error) {
+    console.error('Error fetching sensor health:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
     });
   }
 });
@@ -237,6 +824,7 @@ router.get('/events/24h', async (req, res) => {
     const twentyFourHoursAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
     
     const events = await Event.find({
+      site: req.site._id,
       received_at: { $gte: twentyFourHoursAgo }
     }).sort({ received_at: -1 }).lean();
 
@@ -1,26 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const { Threshold, ActivityLog } = require('../models');
+const mongoose = require('mongoose');
+const CropProfile = require('../models/CropProfile');
+const ThresholdSchedule = require('../models/ThresholdSchedule');
+const { Threshold, ThresholdRevision, ActivityLog } = require('../models');
 const { protect, allowWrite } = require('../middleware/auth');
-const axios = require('axios');
+const { resolveSite } = require('../middleware/site');
+const { snapshot, diffValues, applyThresholds } = require('../services/thresholds');
+const {
+  resolveSchedule, scheduledValues, validateSchedule, applySchedule,
+} = require('../services/thresholdSchedules');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication and are scoped to a greenhouse
+router.use(protect, resolveSite);
 
 // ===================================================================
 // THRESHOLD ROUTES
 // ===================================================================
 
 // @route   GET /api/thresholds
-// @desc    Get current thresholds
+// @desc    Get current thresholds of a greenhouse
 // @access  Private
 router.get('/', async (req, res) => {
   try {
-    const thresholds = await Threshold.getCurrent();
+    const thresholds = await Threshold.getCurrent(req.site._id);
+    await thresholds.populate('activeProfile', 'name');
 
     res.json({
       success: true,
       data: {
+        site: req.site._id,
         soil1: thresholds.soil1,
         soil2: thresholds.soil2,
         temp_high: thresholds.temp_high,
@@ -30,8 +39,11 @@ router.get('/', async (req, res) => {
         npk_n: thresholds.npk_n,
         npk_p: thresholds.npk_p,
         npk_k: thresholds.npk_k,
+        activeProfile: thresholds.activeProfile,
         lastUpdatedBy: thresholds.lastUpdatedBy,
         lastSyncedWithArduino: thresholds.lastSyncedWithArduino,
+        sync: thresholds.sync,
+        drift: thresholds.drift,
         updatedAt: thresholds.updatedAt,
       },
     });
@@ -46,73 +58,392 @@ router.get('/', async (req, res) => {
 });
 
 // @route   PUT /api/thresholds
-// @desc    Update one or more thresholds
+// @desc    Update one or more thresholds (recorded as a new revision).
+//          Values must be numbers within the sensor's range, low/high
+//          pairs in order and, for non-admins, within the safety limits.
 // @access  Private (write permission)
 router.put('/', allowWrite, async (req, res) => {
   try {
-    const updates = req.body;
-    const thresholds = await Threshold.getCurrent();
-
-    // Valid threshold keys
-    const validKeys = ['soil1', 'soil2', 'temp_high', 'temp_low', 'hum_high', 'hum_low', 'npk_n', 'npk_p', 'npk_k'];
-
-    // Apply updates
-    const changed = {};
-    for (const key of validKeys) {
-      if (updates[key] !== undefined) {
-        thresholds[key] = updates[key];
-        changed[key] = updates[key];
-      }
+    // `site` picks the greenhouse (see resolveSite), it is no threshold
+    const { site, ...updates } = req.body || {};
+
+    const { errors, thresholds, revision } = await applyThresholds(req.site, updates, {
+      user: req.user,
+      ip: req.ip,
+      io: req.app.get('io'),
+      enforceLimits: !req.user.isAdmin(),
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(errors).join(', '),
+        errors,
+      });
     }
 
-    thresholds.lastUpdatedBy = req.user._id;
-    await thresholds.save();
+    res.json({
+      success: true,
+      data: thresholds,
+      revision,
+      message: revision ? 'Thresholds updated successfully' : 'Thresholds unchanged',
+    });
+
+  } catch (error) {
+    console.error('Error updating thresholds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// THRESHOLD HISTORY
+// ===================================================================
+
+// Parse a revision number from a route or query param (null if invalid)
+const parseVersion = (value) => (/^\d+$/.test(String(value)) ? parseInt(value, 10) : null);
+
+// @route   GET /api/thresholds/revisions
+// @desc    List revisions of a greenhouse's thresholds, newest first
+//          (paginated with page & limit, max 100)
+// @access  Private
+router.get('/revisions', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const filter = { site: req.site._id };
 
-    // Send to Pi/Arduino via Pi's local API
-    try {
-      const piBaseUrl = process.env.PI_BASE_URL || 'http://localhost:5000';
-      const piApiKey = process.env.PI_API_KEY;
+    const [revisions, total] = await Promise.all([
+      ThresholdRevision.find(filter)
+        .sort({ version: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ThresholdRevision.countDocuments(filter),
+    ]);
 
-      // Send bulk update to Pi
-      await axios.post(`${piBaseUrl}/api/thresholds/bulk`, changed, {
-        headers: { 'X-API-Key': piApiKey },
-        timeout: 5000,
+    res.json({
+      success: true,
+      count: revisions.length,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      data: revisions,
+    });
+
+  } catch (error) {
+    console.error('Error fetching threshold revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   GET /api/thresholds/revisions/diff?from=3&to=7
+// @desc    Field-by-field difference between two revisions (`to`
+//          defaults to the current values)
+// @access  Private
+router.get('/revisions/diff', async (req, res) => {
+  try {
+    const fromVersion = parseVersion(req.query.from);
+    const toVersion = req.query.to === undefined ? null : parseVersion(req.query.to);
+
+    if (fromVersion === null || (req.query.to !== undefined && toVersion === null)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from (and optional to) must be revision numbers',
       });
+    }
 
-      thresholds.lastSyncedWithArduino = new Date();
-      await thresholds.save();
+    const from = await ThresholdRevision.findOne({ site: req.site._id, version: fromVersion });
+    const to = toVersion === null
+      ? null
+      : await ThresholdRevision.findOne({ site: req.site._id, version: toVersion });
 
-    } catch (piError) {
-      console.error('Failed to sync with Pi:', piError.message);
-      // Don't fail the request — backend is updated, Pi will sync eventually
+    if (!from || (toVersion !== null && !to)) {
+      return res.status(404).json({
+        success: false,
+        error: `Revision ${!from ? fromVersion : toVersion} not found`,
+      });
     }
 
+    const toValues = to ? to.values : snapshot(await Threshold.getCurrent(req.site._id));
+
+    res.json({
+      success: true,
+      from: fromVersion,
+      to: toVersion === null ? 'current' : toVersion,
+      data: diffValues(from.values, toValues),
+    });
+
+  } catch (error) {
+    console.error('Error diffing threshold revisions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   GET /api/thresholds/revisions/:version
+// @desc    Get one revision
+// @access  Private
+router.get('/revisions/:version', async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const revision = version === null
+      ? null
+      : await ThresholdRevision.findOne({ site: req.site._id, version });
+
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: revision,
+    });
+
+  } catch (error) {
+    console.error('Error fetching threshold revision:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   POST /api/thresholds/revisions/:version/rollback
+// @desc    Restore the values of a revision (recorded as a new revision
+//          and pushed to the Pi like any other change)
+// @access  Private (write permission)
+router.post('/revisions/:version/rollback', allowWrite, async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const target = version === null
+      ? null
+      : await ThresholdRevision.findOne({ site: req.site._id, version });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: 'Revision not found',
+      });
+    }
+
+    const { errors, thresholds, revision } = await applyThresholds(req.site, target.values, {
+      user: req.user,
+      ip: req.ip,
+      io: req.app.get('io'),
+      source: 'rollback',
+      restoredVersion: target.version,
+      profile: target.profile,
+      enforceLimits: !req.user.isAdmin(),
+    });
+
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(errors).join(', '),
+        errors,
+      });
+    }
+
+    if (!revision) {
+      return res.status(400).json({
+        success: false,
+        error: `Thresholds already match revision ${target.version}`,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: thresholds,
+      revision,
+      message: `Thresholds rolled back to revision ${target.version}`,
+    });
+
+  } catch (error) {
+    console.error('Error rolling back thresholds:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// ===================================================================
+// THRESHOLD SCHEDULE
+// ===================================================================
+
+// Schedule with the stage, slot and values in effect right now
+const describeSchedule = async (schedule, site) => {
+  const active = resolveSchedule(schedule, site.timezone);
+  const { values, profile } = await scheduledValues(active);
+
+  return {
+    ...schedule.toObject(),
+    timezone: site.timezone || 'UTC',
+    active: {
+      date: active.clock.date,
+      time: active.clock.time,
+      stage: active.stage ? active.stage.name : null,
+      slot: active.slot ? active.slot.name : null,
+      profile,
+      values,
+    },
+  };
+};
+
+// @route   GET /api/thresholds/schedule
+// @desc    Get a greenhouse's threshold schedule and what it sets now
+// @access  Private
+router.get('/schedule', async (req, res) => {
+  try {
+    const schedule = await ThresholdSchedule.findOne({ site: req.site._id });
+
+    res.json({
+      success: true,
+      data: schedule ? await describeSchedule(schedule, req.site) : null,
+    });
+
+  } catch (error) {
+    console.error('Error fetching threshold schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   PUT /api/thresholds/schedule
+// @desc    Create or replace a greenhouse's threshold schedule
+//          ({ enabled, stages, dailySlots }) and apply it straight away.
+//          Every stage/slot combination must pass threshold validation
+//          and the safety limits, as it will when it switches.
+// @access  Private (write permission)
+router.put('/schedule', allowWrite, async (req, res) => {
+  try {
+    const { enabled, stages, dailySlots } = req.body;
+
+    if ((stages !== undefined && !Array.isArray(stages)) ||
+        (dailySlots !== undefined && !Array.isArray(dailySlots))) {
+      return res.status(400).json({
+        success: false,
+        error: 'stages and dailySlots must be arrays',
+      });
+    }
+
+    const profileIds = (stages || []).map(stage => stage && stage.profile).filter(Boolean);
+    if (profileIds.some(id => !mongoose.isValidObjectId(id)) ||
+        await CropProfile.countDocuments({ _id: { $in: profileIds } }) !== new Set(profileIds.map(String)).size) {
+      return res.status(400).json({
+        success: false,
+        error: 'Unknown crop profile in stages',
+      });
+    }
+
+    const schedule = await ThresholdSchedule.findOne({ site: req.site._id }) ||
+      new ThresholdSchedule({ site: req.site._id });
+
+    if (enabled !== undefined) schedule.enabled = enabled;
+    if (stages !== undefined) schedule.stages = stages;
+    if (dailySlots !== undefined) schedule.dailySlots = dailySlots;
+    schedule.updatedBy = req.user._id;
+    await schedule.validate();
+
+    const errors = await validateSchedule(schedule, req.site);
+    if (Object.keys(errors).length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(errors).join(', '),
+        errors,
+      });
+    }
+
+    // Apply the (possibly changed) schedule again from scratch
+    schedule.lastAppliedKey = undefined;
+    await schedule.save();
+
     // Log activity
     await ActivityLog.create({
       user: req.user._id,
       username: req.user.username,
-      action: 'threshold_changed',
-      details: { changed },
+      action: 'threshold_schedule_changed',
+      details: {
+        site: req.site.slug,
+        enabled: schedule.enabled,
+        stages: schedule.stages.length,
+        dailySlots: schedule.dailySlots.length,
+      },
       ipAddress: req.ip,
     });
 
-    // Broadcast to WebSocket clients
-    const io = req.app.get('io');
-    if (io) {
-      io.emit('threshold_update', {
-        ...changed,
-        updatedBy: req.user.username,
+    if (schedule.enabled) {
+      try {
+        await applySchedule(req.app.get('io'), schedule);
+      } catch (applyError) {
+        // Saved; the scheduler tries again on its next run
+        console.error('Failed to apply threshold schedule:', applyError.message);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'Threshold schedule saved',
+      data: await describeSchedule(schedule, req.site),
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(e => e.message).join(', '),
       });
     }
+    console.error('Error saving threshold schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+});
+
+// @route   DELETE /api/thresholds/schedule
+// @desc    Remove a greenhouse's threshold schedule (current values stay)
+// @access  Private (write permission)
+router.delete('/schedule', allowWrite, async (req, res) => {
+  try {
+    const schedule = await ThresholdSchedule.findOneAndDelete({ site: req.site._id });
+
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        error: 'No threshold schedule for this greenhouse',
+      });
+    }
+
+    // Log activity
+    await ActivityLog.create({
+      user: req.user._id,
+      username: req.user.username,
+      action: 'threshold_schedule_changed',
+      details: { site: req.site.slug, deleted: true },
+      ipAddress: req.ip,
+    });
 
     res.json({
       success: true,
-      data: thresholds,
-      message: 'Thresholds updated successfully',
+      message: 'Threshold schedule deleted',
     });
 
   } catch (error) {
-    console.error('Error updating thresholds:', error);
+    console.error('Error deleting threshold schedule:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -8,7 +8,11 @@ const rateLimit = require('express-rate-limit');
 const mongoSanitize = require('express-mongo-sanitize');
 const compression = require('compression');
 const connectDB = require('./config/database');
+const { startServices, stopServices } = require('./services');
 const User = require('./models/User');
+const Greenhouse = require('./models/Greenhouse');
+const Device = require('./models/Device');
+const { siteRoom } = require('./utils/socket');
 
 // ===================================================================
 // INITIALIZE APP
@@ -61,8 +65,13 @@ app.use(cors({
   credentials: true,
 }));
 
-// Body parser
-app.use(express.json({ limit: '10mb' }));
+// Body parser (keeps the raw body for Pi request signatures)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Sanitize NoSQL queries
@@ -88,9 +97,13 @@ app.use('/api/auth', require('./routes/auth'));
 app.use('/api/pi', require('./routes/pi'));
 app.use('/api/sensors', require('./routes/sensors'));
 app.use('/api/thresholds', require('./routes/thresholds'));
+app.use('/api/crop-profiles', require('./routes/cropProfiles'));
 app.use('/api/manual', require('./routes/manual'));
+app.use('/api/schedules', require('./routes/schedules'));
+app.use('/api/anomalies', require('./routes/anomalies'));
 app.use('/api/admin', require('./routes/admin'));
 app.use('/api/settings', require('./routes/settings'));
+app.use('/api/greenhouses', require('./routes/greenhouses'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -163,9 +176,34 @@ io.use(async (socket, next) => {
   }
 });
 
+// Join a socket to the room of one greenhouse (leaving any previous one)
+const joinSite = async (socket, ref) => {
+  const site = ref ? await Greenhouse.findByRef(ref) : await Greenhouse.getDefault();
+  if (!site) {
+    socket.emit('site_error', { error: 'Greenhouse not found' });
+    return;
+  }
+
+  if (socket.siteId) {
+    socket.leave(siteRoom(socket.siteId));
+  }
+  socket.siteId = site._id.toString();
+  socket.join(siteRoom(socket.siteId));
+  socket.emit('site_joined', { site: socket.siteId, slug: site.slug, name: site.name });
+};
+
 io.on('connection', async (socket) => {
   console.log(`✓ User connected: ${socket.username} (${socket.userId})`);
 
+  // Dashboards only receive live data for the greenhouse they watch.
+  // Pick it with `auth.site` on connect or `join_site` later.
+  try {
+    const ref = socket.handshake.auth.site;
+    await joinSite(socket, typeof ref === 'string' ? ref : null);
+  } catch (error) {
+    console.error('Error joining greenhouse room:', error);
+  }
+
   // Update user online status
   try {
     await User.findByIdAndUpdate(socket.userId, {
@@ -202,6 +240,15 @@ io.on('connection', async (socket) => {
     });
   });
 
+  socket.on('join_site', async (ref) => {
+    if (typeof ref !== 'string') return;
+    try {
+      await joinSite(socket, ref);
+    } catch (error) {
+      console.error('Error switching greenhouse room:', error);
+    }
+  });
+
   socket.on('request_live_data', () => {
     socket.emit('live_data_requested');
   });
@@ -215,6 +262,9 @@ const PORT = process.env.PORT || 10000;
 const startServer = async () => {
   try {
     await connectDB();
+    await Device.enrollLegacyKey(process.env.PI_API_KEY);
+
+    startServices(io);
 
     server.listen(PORT, () => {
       console.log('');
@@ -240,6 +290,7 @@ process.on('unhandledRejection', (err) => {
 
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  stopServices();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
@@ -248,6 +299,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received. Shutting down gracefully...');
+  stopServices();
   server.close(() => {
     console.log('Server closed');
     process.exit(0);
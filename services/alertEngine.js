@@ -0,0 +1,217 @@
+const AlertRule = require('../models/AlertRule');
+const { SystemAlert, Threshold } = require('../models');
+const { getMetricValue } = require('../utils/metrics');
+const { raiseAlert, resolveAlert } = require('./alerts');
+
+// ===================================================================
+// ALERT ENGINE — Evaluate AlertRules against every ingested reading
+// ===================================================================
+// Readings are evaluated in the order the Pi recorded them. A rule
+// fires once its condition has held for `durationMinutes` and resolves
+// once the metric is `hysteresis` back inside the limit. Rate rules
+// (rise/fall) compare the change per minute over `windowMinutes`.
+// Pending durations and rate history live in memory, so after a restart
+// they start over; open alerts are reloaded from the database.
+
+const MINUTE = 60 * 1000;
+const RULES_CACHE_MS = 60 * 1000;
+// Longest rate window a rule may use (AlertRule.windowMinutes max)
+const HISTORY_MS = 60 * MINUTE;
+
+let rulesCache = null;
+let rulesLoadedAt = 0;
+let defaultsSeeded = false;
+
+// "<rule>:<site>" -> open SystemAlert
+let openAlerts = null;
+// "<rule>:<site>" -> time the condition started holding
+const pendingSince = new Map();
+// "<site>:<metric>" -> recent [time, value] samples, oldest first
+const history = new Map();
+
+// Batches are evaluated one at a time so state changes never interleave
+let queue = Promise.resolve();
+
+const stateKey = (...parts) => parts.map(String).join(':');
+
+const readingTime = (reading) => new Date(reading.recorded_at || reading.received_at).getTime();
+
+const isRateRule = (rule) => rule.condition === 'rise' || rule.condition === 'fall';
+
+const loadRules = async () => {
+  if (rulesCache && Date.now() - rulesLoadedAt < RULES_CACHE_MS) {
+    return rulesCache;
+  }
+  if (!defaultsSeeded) {
+    await AlertRule.seedDefaults();
+    defaultsSeeded = true;
+  }
+  rulesCache = await AlertRule.find({ enabled: true }).lean();
+  rulesLoadedAt = Date.now();
+  return rulesCache;
+};
+
+const loadOpenAlerts = async () => {
+  if (openAlerts) return;
+  const alerts = await SystemAlert.find({ rule: { $exists: true }, resolvedAt: null });
+  openAlerts = new Map(alerts.map(alert => [stateKey(alert.rule, alert.site), alert]));
+};
+
+const recordSample = (siteId, metric, time, value) => {
+  const key = stateKey(siteId, metric);
+  const samples = history.get(key) || [];
+  samples.push([time, value]);
+  while (samples.length > 0 && samples[0][0] < time - HISTORY_MS) {
+    samples.shift();
+  }
+  history.set(key, samples);
+};
+
+// Change per minute over the window, or null until at least half the
+// window is covered by history
+const rateOf = (samples, time, value, windowMinutes) => {
+  const base = samples.find(([t]) => t >= time - windowMinutes * MINUTE);
+  if (!base || time - base[0] < (windowMinutes * MINUTE) / 2) {
+    return null;
+  }
+  return (value - base[1]) / ((time - base[0]) / MINUTE);
+};
+
+// "Above" conditions: measured > limit (falls are measured as a positive drop)
+const isAboveRule = (rule) => rule.condition !== 'below';
+
+const breaches = (rule, measured, limit) => (isAboveRule(rule) ? measured > limit : measured < limit);
+
+const clears = (rule, measured, limit) => (isAboveRule(rule)
+  ? measured <= limit - rule.hysteresis
+  : measured >= limit + rule.hysteresis);
+
+const describe = (rule, measured, limit) => {
+  const round = (n) => Math.round(n * 100) / 100;
+  if (isRateRule(rule)) {
+    const direction = rule.condition === 'rise' ? 'rising' : 'falling';
+    return `${rule.name}: ${rule.metric} ${direction} ${round(measured)}/min over ${rule.windowMinutes} min (limit ${limit}/min)`;
+  }
+  const held = rule.durationMinutes > 0 ? ` for ${rule.durationMinutes} min` : '';
+  return `${rule.name}: ${rule.metric} ${round(measured)} ${rule.condition} ${limit}${held}`;
+};
+
+const evaluateRule = async (io, site, rule, thresholds, reading, time) => {
+  const value = getMetricValue(reading, rule.metric);
+  if (value === null) return;
+
+  const limit = rule.thresholdField ? thresholds[rule.thresholdField] : rule.value;
+  if (typeof limit !== 'number') return;
+
+  let measured = value;
+  if (isRateRule(rule)) {
+    const rate = rateOf(history.get(stateKey(site._id, rule.metric)) || [], time, value, rule.windowMinutes);
+    if (rate === null) return;
+    measured = rule.condition === 'fall' ? -rate : rate;
+  }
+
+  const key = stateKey(rule._id, site._id);
+  const open = openAlerts.get(key);
+
+  if (open) {
+    if (clears(rule, measured, limit)) {
+      openAlerts.delete(key);
+      await resolveAlert(io, open);
+    }
+    return;
+  }
+
+  if (!breaches(rule, measured, limit)) {
+    pendingSince.delete(key);
+    return;
+  }
+
+  if (!pendingSince.has(key)) {
+    pendingSince.set(key, time);
+  }
+  if (time - pendingSince.get(key) < rule.durationMinutes * MINUTE) return;
+
+  pendingSince.delete(key);
+  const alert = await raiseAlert(io, {
+    site: site._id,
+    level: rule.level,
+    message: describe(rule, measured, limit),
+    rule: rule._id,
+  });
+  openAlerts.set(key, alert);
+};
+
+const evaluateBatch = async (io, site, readings) => {
+  const rules = (await loadRules()).filter(rule => !rule.site || String(rule.site) === String(site._id));
+  if (rules.length === 0) return;
+
+  await loadOpenAlerts();
+  const thresholds = await Threshold.getCurrent(site._id);
+  const rateMetrics = [...new Set(rules.filter(isRateRule).map(rule => rule.metric))];
+
+  // Out-of-range values are sensor glitches, not greenhouse conditions
+  const usable = readings
+    .filter(r => !(r.quality || []).includes('out_of_range'))
+    .sort((a, b) => readingTime(a) - readingTime(b));
+
+  for (const reading of usable) {
+    const time = readingTime(reading);
+    for (const rule of rules) {
+      await evaluateRule(io, site, rule, thresholds, reading, time);
+    }
+    for (const metric of rateMetrics) {
+      const value = getMetricValue(reading, metric);
+      if (value !== null) {
+        recordSample(site._id, metric, time, value);
+      }
+    }
+  }
+};
+
+// Evaluate newly stored readings of a greenhouse
+const evaluateReadings = (io, site, readings) => {
+  queue = queue
+    .then(() => evaluateBatch(io, site, readings))
+    .catch(error => console.error('Alert engine error:', error));
+  return queue;
+};
+
+// Forget a rule that was changed or deleted: reload rules and resolve
+// the alerts it left open
+const resetRule = (io, ruleId) => {
+  queue = queue
+    .then(async () => {
+      rulesCache = null;
+      await loadOpenAlerts();
+      for (const [key, alert] of openAlerts) {
+        if (String(alert.rule) !== String(ruleId)) continue;
+        openAlerts.delete(key);
+        pendingSince.delete(key);
+        await resolveAlert(io, alert);
+      }
+      for (const key of pendingSince.keys()) {
+        if (key.startsWith(`${ruleId}:`)) pendingSince.delete(key);
+      }
+    })
+    .catch(error => console.error('Alert engine error:', error));
+  return queue;
+};
+
+// Forget an alert an admin resolved, so its rule can fire again
+const forgetAlert = (alertId) => {
+  queue = queue
+    .then(() => {
+      if (!openAlerts) return;
+      for (const [key, alert] of openAlerts) {
+        if (String(alert._id) === String(alertId)) openAlerts.delete(key);
+      }
+    })
+    .catch(error => console.error('Alert engine error:', error));
+  return queue;
+};
+
+module.exports = {
+  evaluateReadings,
+  resetRule,
+  forgetAlert,
+};
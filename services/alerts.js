@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { SystemAlert } = require('../models');
+const { emitToSite } = require('../utils/socket');
+const { queueAlertNotifications } = require('./notifier');
+
+// ===================================================================
+// ALERTS — Record, deduplicate and change the state of SystemAlerts
+// ===================================================================
+
+// Levels pushed to dashboards straight away when the Pi reports them
+// (backend rule alerts are always pushed)
+const LIVE_PI_LEVELS = ['CRITICAL', 'ERROR'];
+
+// Fingerprint of an alert: the rule that raised it, or its greenhouse,
+// source, level and message with numbers masked ("Temp 41.2" and
+// "Temp 41.9" are the same problem)
+const fingerprintOf = ({ site, source, level, message, rule }) => {
+  const key = rule
+    ? `rule:${rule}:${site}`
+    : [site, source, level, String(message).toLowerCase().replace(/\d+(\.\d+)?/g, '#').trim()].join('|');
+  return crypto.createHash('sha1').update(key).digest('hex');
+};
+
+// Store an alert, or count it as another occurrence of the unresolved
+// alert with the same fingerprint. New alerts are broadcast and sent to
+// notification channels; repeats of an open alert only update
+// dashboards. A repeat of an acknowledged alert reopens it (the problem
+// is back), so it is broadcast, notified and escalated like a new one.
+const recordAlert = async (io, data) => {
+  const fingerprint = fingerprintOf(data);
+  const occurredAt = data.timestamp || new Date();
+  const repeat = { $inc: { occurrences: 1 }, $max: { lastOccurredAt: occurredAt } };
+
+  const existing = await SystemAlert.findOneAndUpdate(
+    { fingerprint, state: 'open' },
+    repeat,
+    { new: true }
+  );
+  if (existing) {
+    emitToSite(io, existing.site, 'system_alert_updated', existing);
+    return existing;
+  }
+
+  const alert = await SystemAlert.findOneAndUpdate(
+    { fingerprint, state: 'acknowledged' },
+    {
+      ...repeat,
+      $set: { state: 'open', acknowledged: false, openedAt: occurredAt, escalatedAt: null },
+      $unset: { acknowledgedBy: 1, acknowledgedAt: 1 },
+    },
+    { new: true }
+  ) || await SystemAlert.create({
+    ...data,
+    fingerprint,
+    timestamp: occurredAt,
+    lastOccurredAt: occurredAt,
+    openedAt: occurredAt,
+  });
+
+  if (alert.source === 'backend' || LIVE_PI_LEVELS.includes(alert.level)) {
+    emitToSite(io, alert.site, 'system_alert', alert);
+  }
+  queueAlertNotifications(alert);
+  return alert;
+};
+
+// Record an alert raised by a backend rule
+const raiseAlert = (io, { site, level, message, rule }) =>
+  recordAlert(io, { site, level, message, rule, source: 'backend' });
+
+// Acknowledge open alerts. Returns how many changed.
+const acknowledgeAlerts = async (io, filter, userId) => {
+  const alerts = await SystemAlert.find({ ...filter, state: 'open' });
+  for (const alert of alerts) {
+    alert.state = 'acknowledged';
+    alert.acknowledged = true;
+    alert.acknowledgedBy = userId;
+    alert.acknowledgedAt = new Date();
+    await alert.save();
+    emitToSite(io, alert.site, 'system_alert_updated', alert);
+  }
+  return alerts.length;
+};
+
+// Mark an alert resolved — by its rule clearing, or by an admin — and
+// broadcast it
+const resolveAlert = async (io, alert, userId) => {
+  alert.state = 'resolved';
+  alert.resolvedAt = new Date();
+  alert.resolvedBy = userId;
+  await alert.save();
+
+  emitToSite(io, alert.site, 'system_alert_resolved', alert);
+  return alert;
+};
+
+// Give alerts stored before the lifecycle fields existed a state (once
+// per process; the escalation and retention jobs both need it)
+let legacyAlertsMigrated = false;
+const migrateLegacyAlerts = async () => {
+  if (legacyAlertsMigrated) return;
+  const result = await SystemAlert.updateMany({ state: { $exists: false } }, [
+    {
+      $set: {
+        state: {
+          $cond: [
+            { $ifNull: ['$resolvedAt', false] },
+            'resolved',
+            { $cond: ['$acknowledged', 'acknowledged', 'open'] },
+          ],
+        },
+        occurrences: 1,
+        lastOccurredAt: '$timestamp',
+      },
+    },
+  ]);
+  if (result.modifiedCount > 0) {
+    console.log(`✓ Added lifecycle state to ${result.modifiedCount} existing alerts`);
+  }
+  legacyAlertsMigrated = true;
+};
+
+module.exports = {
+  fingerprintOf,
+  migrateLegacyAlerts,
+  recordAlert,
+  raiseAlert,
+  acknowledgeAlerts,
+  resolveAlert,
+};
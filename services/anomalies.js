@@ -0,0 +1,305 @@
+const Greenhouse = require('../models/Greenhouse');
+const Anomaly = require('../models/Anomaly');
+const { getRollupModel } = require('../models/Rollup');
+const { AnomalyBaseline } = require('../models');
+const { sumOfSquares } = require('./rollups');
+const { METRICS, getMetricValue } = require('../utils/metrics');
+const { localClock } = require('../utils/clock');
+const { createJob } = require('../utils/jobs');
+const { emitToSite } = require('../utils/socket');
+
+// ===================================================================
+// ANOMALY DETECTOR — Score readings against hour-of-day baselines
+// ===================================================================
+// Each metric's usual value and spread per local hour of day is learnt
+// from the last 28 days of 15-minute rollups and rebuilt daily. The
+// spread is that of the raw samples (from the rollups' sums of squares),
+// since raw readings are what gets scored against it. Every
+// ingested reading gets a z-score, (value - mean) / std, against the
+// baseline of its hour; from |z| >= threshold it is anomalous. Runs of
+// anomalous readings in one direction are stored as one Anomaly (with
+// its peak score) and broadcast as `anomaly_detected` when they start.
+// Anomalies labeled false_positive raise that metric's threshold, so a
+// greenhouse's normal swings stop being flagged.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const QUARTER_HOUR = 15 * MINUTE;
+const RUN_INTERVAL_MS = HOUR;
+
+// History a baseline is built from, and how often it is rebuilt
+const BASELINE_DAYS = 28;
+const BASELINE_MAX_AGE_MS = DAY;
+// An hour is only scored once it has a week of 15-minute averages
+const MIN_SAMPLES = 7 * 4;
+// Smallest spread assumed, so tiny changes in a very steady hour do not
+// score huge
+const MIN_STD = { temp: 0.5, hum: 2, soil1: 2, soil2: 2, npk_n: 5, npk_p: 5, npk_k: 5 };
+
+// |z| from which a reading is anomalous. Each false positive labeled in
+// the last 30 days adds FALSE_POSITIVE_STEP for its metric.
+const Z_THRESHOLD = 3.5;
+const FALSE_POSITIVE_STEP = 0.5;
+const FALSE_POSITIVE_WINDOW_MS = 30 * DAY;
+const MAX_THRESHOLD = 6;
+// Anomalous readings further apart than this are separate anomalies
+const ANOMALY_GAP_MS = 30 * MINUTE;
+const CACHE_MS = 60 * 1000;
+
+// "<site>" -> { loadedAt, timezone, baselines: { metric: { hour: entry } }, thresholds }
+const siteCache = new Map();
+// "<site>:<metric>" -> open Anomaly
+let openAnomalies = null;
+
+// Batches are scored one at a time so open anomalies never interleave
+let queue = Promise.resolve();
+
+const stateKey = (...parts) => parts.map(String).join(':');
+
+const readingTime = (reading) => new Date(reading.recorded_at || reading.received_at).getTime();
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Rebuild a greenhouse's baselines from its 15-minute rollups
+const buildBaselines = async (site, now = new Date()) => {
+  const timezone = site.timezone || 'UTC';
+  const from = new Date(now.getTime() - BASELINE_DAYS * DAY);
+
+  const group = { _id: { $hour: { date: '$bucket', timezone } } };
+  for (const metric of METRICS) {
+    const stats = `$metrics.${metric}`;
+    const count = { $ifNull: [`${stats}.count`, 0] };
+    group[`${metric}_count`] = { $sum: count };
+    group[`${metric}_sum`] = { $sum: { $multiply: [{ $ifNull: [`${stats}.avg`, 0] }, count] } };
+    group[`${metric}_sumSq`] = { $sum: sumOfSquares(stats) };
+    group[`${metric}_samples`] = { $sum: { $cond: [{ $isNumber: `${stats}.avg` }, 1, 0] } };
+  }
+
+  const rows = await getRollupModel('15m').aggregate([
+    { $match: { site: site._id, bucket: { $gte: from, $lt: now } } },
+    { $group: group },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const baselines = [];
+  for (const metric of METRICS) {
+    const hours = rows.filter(row => row[`${metric}_samples`] > 0 && row[`${metric}_count`] > 0).map(row => {
+      const mean = row[`${metric}_sum`] / row[`${metric}_count`];
+      const variance = row[`${metric}_sumSq`] / row[`${metric}_count`] - mean * mean;
+      return {
+        hour: row._id,
+        mean,
+        std: Math.sqrt(Math.max(variance, 0)),
+        samples: row[`${metric}_samples`],
+      };
+    });
+    baselines.push(await AnomalyBaseline.findOneAndUpdate(
+      { site: site._id, metric },
+      { timezone, hours, from, to: now, computedAt: now },
+      { upsert: true, new: true }
+    ));
+  }
+
+  siteCache.delete(String(site._id));
+  return baselines;
+};
+
+// Baselines and thresholds of a greenhouse, cached for a minute
+const loadSite = async (siteId) => {
+  const cached = siteCache.get(String(siteId));
+  if (cached && Date.now() - cached.loadedAt < CACHE_MS) {
+    return cached;
+  }
+
+  const [baselines, falsePositives] = await Promise.all([
+    AnomalyBaseline.find({ site: siteId }).lean(),
+    Anomaly.aggregate([
+      {
+        $match: {
+          site: siteId,
+          label: 'false_positive',
+          startedAt: { $gte: new Date(Date.now() - FALSE_POSITIVE_WINDOW_MS) },
+        },
+      },
+      { $group: { _id: '$metric', count: { $sum: 1 } } },
+    ]),
+  ]);
+
+  const state = {
+    loadedAt: Date.now(),
+    timezone: baselines.length > 0 ? baselines[0].timezone : null,
+    baselines: Object.fromEntries(baselines.map(baseline => [
+      baseline.metric,
+      Object.fromEntries(baseline.hours.map(entry => [entry.hour, entry])),
+    ])),
+    thresholds: Object.fromEntries(METRICS.map(metric => {
+      const row = falsePositives.find(r => r._id === metric);
+      const raised = Z_THRESHOLD + FALSE_POSITIVE_STEP * (row ? row.count : 0);
+      return [metric, Math.min(raised, MAX_THRESHOLD)];
+    })),
+  };
+  siteCache.set(String(siteId), state);
+  return state;
+};
+
+// Current |z| threshold per metric of a greenhouse
+const siteThresholds = async (siteId) => (await loadSite(siteId)).thresholds;
+
+// Drop a greenhouse's cached thresholds (after a label changed)
+const forgetSite = (siteId) => {
+  siteCache.delete(String(siteId));
+};
+
+const loadOpenAnomalies = async () => {
+  if (openAnomalies) return;
+  const open = await Anomaly.find({ status: 'open' });
+  openAnomalies = new Map(open.map(anomaly => [stateKey(anomaly.site, anomaly.metric), anomaly]));
+};
+
+const closeAnomaly = async (key, anomaly, at) => {
+  openAnomalies.delete(key);
+  anomaly.status = 'closed';
+  anomaly.endedAt = at;
+  await anomaly.save();
+};
+
+// Local hour of a moment. Cached per quarter hour (every UTC offset is a
+// multiple).
+const hourIn = (timeZone) => {
+  const cache = new Map();
+  return (time) => {
+    const slot = Math.floor(time / QUARTER_HOUR);
+    if (!cache.has(slot)) {
+      cache.set(slot, Number(localClock(new Date(time), timeZone).time.slice(0, 2)));
+    }
+    return cache.get(slot);
+  };
+};
+
+const scoreValue = async (io, site, { metric, value, time, hour, reading, entry, threshold }) => {
+  const key = stateKey(site._id, metric);
+  let open = openAnomalies.get(key);
+
+  if (open && time - open.lastSeenAt.getTime() > ANOMALY_GAP_MS) {
+    await closeAnomaly(key, open, open.lastSeenAt);
+    open = null;
+  }
+
+  if (!entry || entry.samples < MIN_SAMPLES) return;
+
+  const std = Math.max(entry.std, MIN_STD[metric]);
+  const score = (value - entry.mean) / std;
+  const direction = score > 0 ? 'high' : 'low';
+
+  if (Math.abs(score) < threshold || (open && open.direction !== direction)) {
+    if (open) await closeAnomaly(key, open, new Date(time));
+    if (Math.abs(score) < threshold) return;
+    open = null;
+  }
+
+  const peak = {
+    score: round(score),
+    value,
+    expected: { hour, mean: round(entry.mean), std: round(std) },
+    reading: reading._id,
+  };
+
+  if (open) {
+    open.readings += 1;
+    if (time > open.lastSeenAt.getTime()) open.lastSeenAt = new Date(time);
+    if (Math.abs(score) > Math.abs(open.score)) open.set(peak);
+    await open.save();
+    return;
+  }
+
+  const anomaly = await Anomaly.create({
+    ...peak,
+    site: site._id,
+    metric,
+    direction,
+    threshold,
+    startedAt: new Date(time),
+    lastSeenAt: new Date(time),
+  });
+  openAnomalies.set(key, anomaly);
+  emitToSite(io, site._id, 'anomaly_detected', anomaly);
+};
+
+const scoreBatch = async (io, site, readings) => {
+  const { timezone, baselines, thresholds } = await loadSite(site._id);
+  if (!timezone) return; // No baselines yet
+
+  await loadOpenAnomalies();
+  const hourOf = hourIn(timezone);
+
+  // Out-of-range values are sensor glitches, not greenhouse conditions
+  const usable = readings
+    .filter(r => !(r.quality || []).includes('out_of_range'))
+    .sort((a, b) => readingTime(a) - readingTime(b));
+
+  for (const reading of usable) {
+    const time = readingTime(reading);
+    const hour = hourOf(time);
+    for (const metric of METRICS) {
+      const value = getMetricValue(reading, metric);
+      if (value === null || !baselines[metric]) continue;
+      await scoreValue(io, site, {
+        metric,
+        value,
+        time,
+        hour,
+        reading,
+        entry: baselines[metric][hour],
+        threshold: thresholds[metric],
+      });
+    }
+  }
+};
+
+// Score newly stored readings of a greenhouse
+const scoreReadings = (io, site, readings) => {
+  queue = queue
+    .then(() => scoreBatch(io, site, readings))
+    .catch(error => console.error('Anomaly detector error:', error));
+  return queue;
+};
+
+// Close anomalies whose readings stopped (e.g. the Pi went offline)
+const closeStale = () => {
+  queue = queue
+    .then(async () => {
+      await loadOpenAnomalies();
+      for (const [key, anomaly] of openAnomalies) {
+        if (Date.now() - anomaly.lastSeenAt.getTime() > ANOMALY_GAP_MS) {
+          await closeAnomaly(key, anomaly, anomaly.lastSeenAt);
+        }
+      }
+    })
+    .catch(error => console.error('Anomaly detector error:', error));
+  return queue;
+};
+
+// Rebuild baselines older than a day (or in an old timezone)
+const refreshBaselines = async () => {
+  const sites = await Greenhouse.find();
+  for (const site of sites) {
+    const oldest = await AnomalyBaseline.findOne({ site: site._id }).sort({ computedAt: 1 }).lean();
+    const fresh = oldest
+      && oldest.timezone === (site.timezone || 'UTC')
+      && Date.now() - oldest.computedAt.getTime() < BASELINE_MAX_AGE_MS;
+    if (!fresh) {
+      await buildBaselines(site);
+    }
+  }
+  await closeStale();
+};
+
+module.exports = {
+  ...createJob('anomaly-baselines', RUN_INTERVAL_MS, refreshBaselines),
+  MIN_SAMPLES,
+  scoreReadings,
+  buildBaselines,
+  siteThresholds,
+  forgetSite,
+};
@@ -0,0 +1,192 @@
+const Command = require('../models/Command');
+const Device = require('../models/Device');
+const ManualOverride = require('../models/ManualOverride');
+const { createJob } = require('../utils/jobs');
+const { emitToSite } = require('../utils/socket');
+const { postToPi } = require('../utils/piClient');
+
+// ===================================================================
+// COMMANDS — Queue user actions for a greenhouse's Pi
+// ===================================================================
+// A command is pushed straight to the Pi's local API when the backend can
+// reach it. Pis behind NAT poll GET /api/pi/commands instead; once a Pi
+// has polled recently, its commands are left for it to pull. Every state
+// change is broadcast as `command_update`.
+
+const COMMAND_TTL_MS = (parseInt(process.env.COMMAND_TTL_SECONDS, 10) || 120) * 1000;
+// A Pi that polled this recently is assumed to keep polling
+const POLL_FRESH_MS = 60 * 1000;
+const RUN_INTERVAL_MS = 15 * 1000;
+
+// Pi local API path per command type
+const PI_PATHS = {
+  manual_control: '/api/manual',
+  resume_auto: '/api/auto',
+};
+
+const broadcast = (io, command) => {
+  emitToSite(io, command.site, 'command_update', command);
+};
+
+// An override whose command failed is not in effect: the override it
+// replaced (if nothing replaced it since) is active again, so its revert
+// still goes out
+const cancelOverrides = async (command) => {
+  const overrides = await ManualOverride.find({ command: command._id, status: 'active' });
+
+  for (const override of overrides) {
+    override.status = 'cancelled';
+    override.endedAt = new Date();
+    await override.save();
+
+    if (override.replaces) {
+      const taken = await ManualOverride.exists({
+        site: override.site,
+        actuator: override.actuator,
+        status: 'active',
+      });
+      if (!taken) {
+        await ManualOverride.updateOne(
+          { _id: override.replaces, status: 'replaced' },
+          { status: 'active', $unset: { endedAt: 1 } }
+        );
+      }
+    }
+  }
+};
+
+// Start the clock of timed overrides whose command the Pi confirmed (or
+// that can no longer be confirmed: from when the command was queued, the
+// earliest it can have run, so the revert never comes late)
+const startOverrideClocks = async (command, from) => {
+  const overrides = await ManualOverride.find({
+    command: command._id,
+    status: 'active',
+    endsAt: null,
+    durationSeconds: { $gt: 0 },
+  });
+
+  for (const override of overrides) {
+    override.endsAt = new Date(from.getTime() + override.durationSeconds * 1000);
+    await override.save();
+  }
+};
+
+// Mark a command executed or failed. Executed commands are also
+// announced with the live events dashboards already listen to.
+const completeCommand = async (io, command, { status, result, error }) => {
+  command.status = status;
+  command.result = result;
+  command.error = error;
+  command.completedAt = new Date();
+  await command.save();
+  broadcast(io, command);
+
+  if (status === 'failed') {
+    await cancelOverrides(command);
+    return command;
+  }
+  await startOverrideClocks(command, command.completedAt);
+
+  if (command.type === 'manual_control') {
+    emitToSite(io, command.site, 'manual_control', {
+      ...command.payload,
+      command: command._id,
+      controlledBy: command.username,
+      timestamp: command.completedAt,
+    });
+  } else if (command.type === 'resume_auto') {
+    emitToSite(io, command.site, 'auto_mode_resumed', {
+      command: command._id,
+      resumedBy: command.username,
+      timestamp: command.completedAt,
+    });
+  }
+  return command;
+};
+
+// Whether a device of the greenhouse is pulling commands
+const isPolling = (siteId) => Device.exists({
+  site: siteId,
+  status: 'active',
+  lastCommandPollAt: { $gte: new Date(Date.now() - POLL_FRESH_MS) },
+});
+
+// Queue a command and, unless the Pi is polling, try to push it. Returns
+// the command (executed if the push worked, otherwise queued).
+const queueCommand = async (io, site, { type, payload = {}, user }) => {
+  const command = await Command.create({
+    site: site._id,
+    type,
+    payload,
+    requestedBy: user ? user._id : undefined,
+    username: user ? user.username : 'system',
+    expiresAt: new Date(Date.now() + COMMAND_TTL_MS),
+  });
+  broadcast(io, command);
+
+  if (!site.getPiBaseUrl() || await isPolling(site._id)) {
+    return command;
+  }
+
+  try {
+    const response = await postToPi(site, PI_PATHS[type], { ...payload, command_id: command._id });
+    command.delivery = 'push';
+    command.deliveredAt = new Date();
+    return completeCommand(io, command, { status: 'executed', result: response.data });
+  } catch (piError) {
+    // Left queued — a polling Pi can still pick it up before it expires
+    console.error('Failed to push command to Pi:', piError.message);
+    return command;
+  }
+};
+
+// Commands a device should run: queued ones become delivered, delivered
+// ones not yet acknowledged are handed out again (the Pi skips ids it
+// already ran)
+const takeCommands = async (io, device) => {
+  const now = new Date();
+  await Device.updateOne({ _id: device._id }, { lastCommandPollAt: now });
+
+  const commands = await Command.find({
+    site: device.site,
+    status: { $in: ['queued', 'delivered'] },
+    expiresAt: { $gt: now },
+  }).sort({ createdAt: 1 }).limit(20);
+
+  for (const command of commands) {
+    if (command.status !== 'queued') continue;
+    command.status = 'delivered';
+    command.delivery = 'pull';
+    command.device = device._id;
+    command.deliveredAt = now;
+    await command.save();
+    broadcast(io, command);
+  }
+  return commands;
+};
+
+// Expire commands nobody completed in time. Their overrides stay active:
+// a delivered command, or a push that timed out, may still have run, so
+// the revert must go out when the override ends. A late ack is accepted.
+const expireCommands = async ({ io }) => {
+  const stale = await Command.find({
+    status: { $in: ['queued', 'delivered'] },
+    expiresAt: { $lte: new Date() },
+  }).limit(200);
+
+  for (const command of stale) {
+    command.status = 'expired';
+    command.completedAt = new Date();
+    await command.save();
+    await startOverrideClocks(command, command.createdAt);
+    broadcast(io, command);
+  }
+};
+
+module.exports = {
+  ...createJob('commands', RUN_INTERVAL_MS, expireCommands),
+  queueCommand,
+  takeCommands,
+  completeCommand,
+};
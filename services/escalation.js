@@ -0,0 +1,75 @@
+const User = require('../models/User');
+const Greenhouse = require('../models/Greenhouse');
+const { SystemAlert } = require('../models');
+const { createJob } = require('../utils/jobs');
+const { sendEmail } = require('./notifier');
+const { migrateLegacyAlerts } = require('./alerts');
+
+// ===================================================================
+// ALERT ESCALATION — Tell head admins about ignored CRITICAL alerts
+// ===================================================================
+// A CRITICAL alert still open (not acknowledged, resolved or snoozed)
+// ALERT_ESCALATION_MINUTES after it was opened (or reopened) is pushed to
+// every online head admin (`alert_escalated`) and emailed to them when
+// SMTP is configured. Each opening is escalated once.
+
+const ESCALATION_MINUTES = parseInt(process.env.ALERT_ESCALATION_MINUTES, 10) || 15;
+const RUN_INTERVAL_MS = 60 * 1000;
+
+const escalate = async ({ io }) => {
+  await migrateLegacyAlerts();
+
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - ESCALATION_MINUTES * 60 * 1000);
+  const due = await SystemAlert.find({
+    level: 'CRITICAL',
+    state: 'open',
+    escalatedAt: null,
+    $and: [
+      // Alerts from before `openedAt` existed count from their first occurrence
+      { $or: [{ openedAt: { $lte: cutoff } }, { openedAt: null, timestamp: { $lte: cutoff } }] },
+      { $or: [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }] },
+    ],
+  }).limit(50);
+  if (due.length === 0) return;
+
+  const headAdmins = await User.find({ role: 'head_admin', status: { $ne: 'banned' } })
+    .select('username email socketId');
+  const emails = headAdmins.map(admin => admin.email).filter(Boolean);
+
+  for (const alert of due) {
+    const site = alert.site ? await Greenhouse.findById(alert.site).lean() : null;
+
+    headAdmins.forEach(admin => {
+      if (io && admin.socketId) {
+        io.to(admin.socketId).emit('alert_escalated', alert);
+      }
+    });
+
+    if (emails.length > 0 && process.env.SMTP_HOST) {
+      try {
+        await sendEmail(
+          emails.join(', '),
+          `[ESCALATED] ${site ? site.name : 'Greenhouse'}: ${alert.message}`,
+          [
+            `A CRITICAL alert has not been acknowledged for ${ESCALATION_MINUTES} minutes.`,
+            '',
+            alert.message,
+            `Greenhouse: ${site ? site.name : 'unknown'}`,
+            `First seen: ${alert.timestamp.toISOString()}`,
+            `Occurrences: ${alert.occurrences}`,
+          ].join('\n')
+        );
+      } catch (error) {
+        console.error('Escalation email failed:', error.message);
+      }
+    }
+
+    alert.escalatedAt = now;
+    await alert.save();
+  }
+
+  console.log(`Escalated ${due.length} unacknowledged CRITICAL alert(s) to head admins`);
+};
+
+module.exports = createJob('escalation', RUN_INTERVAL_MS, escalate);
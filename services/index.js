@@ -0,0 +1,29 @@
+// ===================================================================
+// BACKGROUND SERVICES — started once the database is connected
+// ===================================================================
+const jobs = [
+  require('./rollups'),
+  require('./retention'),
+  require('./notifier'),
+  require('./escalation'),
+  require('./thresholdSchedules'),
+  require('./thresholdSync'),
+  require('./commands'),
+  require('./overrides'),
+  require('./schedules'),
+  require('./piWatchdog'),
+  require('./sensorHealth'),
+  require('./anomalies'),
+];
+
+// `io` lets jobs push to dashboards
+const startServices = (io) => {
+  jobs.forEach(job => job.start({ io }));
+  console.log(`  ⏱  Background jobs: ${jobs.map(job => job.name).join(', ')}`);
+};
+
+const stopServices = () => {
+  jobs.forEach(job => job.stop());
+};
+
+module.exports = { startServices, stopServices };
@@ -0,0 +1,158 @@
+const Interlock = require('../models/Interlock');
+const ManualOverride = require('../models/ManualOverride');
+const Reading = require('../models/Reading');
+
+// ===================================================================
+// INTERLOCKS — Check manual control against a greenhouse's safety rules
+// ===================================================================
+// An actuator's state is taken from the latest reading (when it is fresh)
+// with the active manual overrides on top. A command that breaks a rule
+// is rejected with one violation per rule:
+//   { rule: 'max_run' | 'min_off' | 'requires' | 'soil_cutoff', actuator, message }
+
+// Whether a manual_control payload (or override) leaves the actuator on
+const isOn = ({ state, pwm }) => Boolean(state) && pwm !== 0;
+
+// Reading filter for "actuator was on"
+const onFilter = (actuator) => (actuator === 'peltier'
+  ? { 'actuators.peltier_pwm': { $gt: 0 } }
+  : { [`actuators.${actuator}`]: true });
+
+// Rule set of a greenhouse (defaults until one is saved)
+const getInterlocks = async (site) => (
+  await Interlock.findOne({ site: site._id }) || new Interlock({ site: site._id })
+);
+
+// Latest fresh reading and the on/off state of every actuator it and the
+// active overrides know about
+const currentState = async (site, maxAgeSeconds) => {
+  const [reading, overrides] = await Promise.all([
+    Reading.findOne({
+      site: site._id,
+      received_at: { $gte: new Date(Date.now() - maxAgeSeconds * 1000) },
+    }).sort({ received_at: -1 }),
+    ManualOverride.find({ site: site._id, status: 'active' }),
+  ]);
+
+  const states = {};
+  if (reading && reading.actuators) {
+    const { actuators } = reading;
+    for (const actuator of Interlock.schema.path('rules').schema.path('actuator').enumValues) {
+      states[actuator] = actuator === 'peltier'
+        ? actuators.peltier_pwm > 0
+        : Boolean(actuators[actuator]);
+    }
+  }
+  for (const override of overrides) {
+    states[override.actuator] = isOn(override);
+  }
+  return { reading, states, overrides };
+};
+
+// When the actuator was last seen on within the past `seconds` (null if not)
+const lastOnSince = async (site, actuator, seconds) => {
+  const since = new Date(Date.now() - seconds * 1000);
+  const [reading, override] = await Promise.all([
+    Reading.findOne({ site: site._id, received_at: { $gte: since }, ...onFilter(actuator) })
+      .sort({ received_at: -1 })
+      .select('received_at'),
+    ManualOverride.findOne({
+      site: site._id,
+      actuator,
+      state: true,
+      pwm: { $ne: 0 },
+      endedAt: { $gte: since },
+    }).sort({ endedAt: -1 }),
+  ]);
+
+  const times = [reading && reading.received_at, override && override.endedAt].filter(Boolean);
+  return times.length ? new Date(Math.max(...times)) : null;
+};
+
+// Check a manual_control payload. Resolves to { violations, duration }:
+// `duration` is the requested one, or the rule's remaining run time when
+// an untimed command would switch on an actuator with a run-time limit.
+const checkCommand = async (site, { actuator, state, pwm }, { duration } = {}) => {
+  const interlocks = await getInterlocks(site);
+  if (!interlocks.enabled) {
+    return { violations: [], duration };
+  }
+
+  const rules = interlocks.rules;
+  const rule = rules.find(r => r.actuator === actuator);
+  const { reading, states, overrides } = await currentState(site, interlocks.readingMaxAgeSeconds);
+  const violations = [];
+  const violation = (name, message, extra = {}) => violations.push({ rule: name, actuator, message, ...extra });
+
+  if (!isOn({ state, pwm })) {
+    // Nothing may lose an actuator it requires
+    for (const dependent of rules) {
+      if (dependent.requires.includes(actuator) && states[dependent.actuator]) {
+        violation('requires', `${actuator} cannot be switched off while ${dependent.actuator} is on`, {
+          dependent: dependent.actuator,
+        });
+      }
+    }
+    return { violations, duration };
+  }
+
+  if (!rule) {
+    return { violations, duration };
+  }
+
+  if (rule.maxRunSeconds) {
+    const running = overrides.find(o => o.actuator === actuator && isOn(o));
+    const elapsed = running
+      ? Math.round((Date.now() - (running.runStartedAt || running.startedAt).getTime()) / 1000)
+      : 0;
+    const allowed = rule.maxRunSeconds - elapsed;
+
+    if (allowed < 1 || (duration !== undefined && duration > allowed)) {
+      violation('max_run', elapsed
+        ? `${actuator} may run for at most ${rule.maxRunSeconds} s at a time (${elapsed} s used)`
+        : `${actuator} may run for at most ${rule.maxRunSeconds} s at a time`, {
+        maxRunSeconds: rule.maxRunSeconds,
+      });
+    } else if (duration === undefined) {
+      duration = allowed;
+    }
+  }
+
+  if (rule.minOffSeconds && !states[actuator]) {
+    const lastOn = await lastOnSince(site, actuator, rule.minOffSeconds);
+    if (lastOn) {
+      const retryAfter = Math.ceil(rule.minOffSeconds - (Date.now() - lastOn.getTime()) / 1000);
+      violation('min_off', `${actuator} must stay off for ${rule.minOffSeconds} s between runs (${retryAfter} s left)`, {
+        retryAfter,
+      });
+    }
+  }
+
+  for (const required of rule.requires) {
+    if (!states[required]) {
+      violation('requires', `${actuator} requires ${required} to be on`, { required });
+    }
+  }
+
+  if (rule.soilCutoff != null) {
+    if (!reading) {
+      violation('soil_cutoff', `${actuator} needs a soil moisture reading from the last ${interlocks.readingMaxAgeSeconds} s`);
+    } else {
+      const wettest = Math.max(reading.soil1, reading.soil2);
+      if (wettest >= rule.soilCutoff) {
+        violation('soil_cutoff', `Soil moisture ${wettest}% is at or above the ${actuator} cut-off (${rule.soilCutoff}%)`, {
+          soil: wettest,
+          soilCutoff: rule.soilCutoff,
+        });
+      }
+    }
+  }
+
+  return { violations, duration };
+};
+
+module.exports = {
+  isOn,
+  getInterlocks,
+  checkCommand,
+};
@@ -0,0 +1,206 @@
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const NotificationChannel = require('../models/NotificationChannel');
+const Greenhouse = require('../models/Greenhouse');
+const { NotificationDelivery } = require('../models');
+const { createJob } = require('../utils/jobs');
+const { signatureHeaders } = require('../utils/signing');
+
+// ===================================================================
+// NOTIFIER — Send alerts to email / webhook / Slack / Discord channels
+// ===================================================================
+// Every alert creates one NotificationDelivery per matching channel and
+// is sent right away. Failed sends are retried by the job with growing
+// delays until MAX_ATTEMPTS is reached.
+
+const MAX_ATTEMPTS = 5;
+// Delay before attempt 2, 3, 4, 5
+const BACKOFF_MS = [30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+const SEND_TIMEOUT_MS = 10 * 1000;
+const RUN_INTERVAL_MS = 30 * 1000;
+
+let transporter = null;
+
+// SMTP transport from SMTP_* environment variables
+const getTransporter = () => {
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP is not configured (set SMTP_HOST)');
+  }
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+      connectionTimeout: SEND_TIMEOUT_MS,
+    });
+  }
+  return transporter;
+};
+
+// Fields of an alert included in every notification
+const alertPayload = (alert, site) => ({
+  id: alert._id,
+  level: alert.level,
+  message: alert.message,
+  source: alert.source,
+  timestamp: alert.timestamp,
+  site: site ? { id: site._id, name: site.name, slug: site.slug } : null,
+});
+
+const summaryLine = (alert, site) =>
+  `[${alert.level}] ${site ? site.name : 'Greenhouse'}: ${alert.message}`;
+
+// POST a JSON payload. With a secret it is signed like Pi requests
+// (X-Timestamp, X-Nonce, X-Signature over the exact body).
+const postJson = async (url, payload, secret) => {
+  const body = JSON.stringify(payload);
+  const headers = secret ? signatureHeaders(secret, body) : {};
+  const response = await axios.post(url, body, {
+    headers: { 'Content-Type': 'application/json', ...headers },
+    timeout: SEND_TIMEOUT_MS,
+  });
+  return response.status;
+};
+
+// Send a plain-text email through the SMTP settings
+const sendEmail = (to, subject, text) => getTransporter().sendMail({
+  from: process.env.SMTP_FROM || process.env.SMTP_USER,
+  to,
+  subject,
+  text,
+});
+
+// Sender per channel type. Resolves with the HTTP status (webhooks).
+const senders = {
+  email: async (channel, alert, site) => {
+    await sendEmail(channel.recipients.join(', '), summaryLine(alert, site), [
+      summaryLine(alert, site),
+      '',
+      `Source: ${alert.source}`,
+      `Time: ${new Date(alert.timestamp).toISOString()}`,
+    ].join('\n'));
+    return undefined;
+  },
+
+  webhook: (channel, alert, site) =>
+    postJson(channel.url, { event: 'system_alert', alert: alertPayload(alert, site) }, channel.secret),
+
+  slack: (channel, alert, site) =>
+    postJson(channel.url, { text: summaryLine(alert, site) }),
+
+  discord: (channel, alert, site) =>
+    postJson(channel.url, { content: summaryLine(alert, site).slice(0, 2000) }),
+};
+
+const describeError = (error) => {
+  if (error.response) {
+    return `HTTP ${error.response.status}`;
+  }
+  return error.message || String(error);
+};
+
+// Make one attempt and record the outcome on the delivery
+const attemptDelivery = async (delivery, channel, alert, site, maxAttempts = MAX_ATTEMPTS) => {
+  delivery.attempts += 1;
+
+  try {
+    delivery.responseStatus = await senders[channel.type](channel, alert, site);
+    delivery.status = 'sent';
+    delivery.sentAt = new Date();
+    delivery.lastError = undefined;
+    delivery.nextAttemptAt = undefined;
+  } catch (error) {
+    delivery.lastError = describeError(error);
+    delivery.responseStatus = error.response ? error.response.status : undefined;
+    if (delivery.attempts >= maxAttempts) {
+      delivery.status = 'failed';
+      delivery.nextAttemptAt = undefined;
+    } else {
+      delivery.nextAttemptAt = new Date(Date.now() + BACKOFF_MS[delivery.attempts - 1]);
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+};
+
+// Send an alert to every enabled channel routed its level and greenhouse
+const notifyAlert = async (alert) => {
+  const channels = await NotificationChannel.find({
+    enabled: true,
+    levels: alert.level,
+    $or: [{ sites: { $size: 0 } }, { sites: alert.site }],
+  }).select('+secret');
+  if (channels.length === 0) return;
+
+  const site = alert.site ? await Greenhouse.findById(alert.site).lean() : null;
+
+  for (const channel of channels) {
+    // Scheduled as if the first try failed, so the retry job only picks
+    // it up if this attempt never finishes (e.g. the server restarts)
+    const delivery = await NotificationDelivery.create({
+      channel: channel._id,
+      alert: alert._id,
+      level: alert.level,
+      nextAttemptAt: new Date(Date.now() + BACKOFF_MS[0]),
+    });
+    await attemptDelivery(delivery, channel, alert, site);
+  }
+};
+
+// Send alerts in the background; failures are recorded, never thrown
+const queueAlertNotifications = (alert) => {
+  notifyAlert(alert).catch(error => console.error('Notification error:', error));
+};
+
+// Send a sample alert to one channel now (no retries)
+const sendTestNotification = async (channel, site) => {
+  const alert = {
+    level: 'INFO',
+    message: 'Test notification — this channel is set up correctly',
+    source: 'backend',
+    site: site._id,
+    timestamp: new Date(),
+  };
+  const delivery = await NotificationDelivery.create({
+    channel: channel._id,
+    test: true,
+    level: alert.level,
+  });
+  return attemptDelivery(delivery, channel, alert, site, 1);
+};
+
+// Retry deliveries whose backoff has elapsed
+const retryDue = async () => {
+  const due = await NotificationDelivery.find({
+    status: 'pending',
+    nextAttemptAt: { $lte: new Date() },
+  })
+    .sort({ nextAttemptAt: 1 })
+    .limit(50)
+    .populate('alert');
+
+  for (const delivery of due) {
+    const channel = await NotificationChannel.findById(delivery.channel).select('+secret');
+    if (!channel || !channel.enabled || !delivery.alert) {
+      delivery.status = 'failed';
+      delivery.lastError = !delivery.alert ? 'Alert no longer exists' : 'Channel removed or disabled';
+      delivery.nextAttemptAt = undefined;
+      await delivery.save();
+      continue;
+    }
+
+    const site = delivery.alert.site ? await Greenhouse.findById(delivery.alert.site).lean() : null;
+    await attemptDelivery(delivery, channel, delivery.alert, site);
+  }
+};
+
+module.exports = {
+  ...createJob('notifications', RUN_INTERVAL_MS, retryDue),
+  sendEmail,
+  queueAlertNotifications,
+  sendTestNotification,
+};
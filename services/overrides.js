@@ -0,0 +1,164 @@
+const Greenhouse = require('../models/Greenhouse');
+const ManualOverride = require('../models/ManualOverride');
+const { ActivityLog } = require('../models');
+const { createJob } = require('../utils/jobs');
+const { emitToSite } = require('../utils/socket');
+const { queueCommand } = require('./commands');
+const { isOn, checkCommand } = require('./interlocks');
+
+// ===================================================================
+// MANUAL OVERRIDES — Track actuators in manual control and revert
+// timed ones
+// ===================================================================
+// When a timed override runs out the backend resumes automatic mode, or
+// switches the actuator off when asked to (`onExpiry: 'off'`). Resuming
+// automatic mode would end every other override of the greenhouse, so
+// while others are still active an `auto` override is switched off
+// instead. Switching off an actuator another one requires (interlocks)
+// switches that one off first.
+
+const RUN_INTERVAL_MS = 15 * 1000;
+
+// Override with the seconds it has left (null = untimed; the full
+// duration while its command awaits the Pi)
+const remainingSeconds = (override, now) => {
+  if (override.endsAt) return Math.max(0, Math.round((override.endsAt.getTime() - now) / 1000));
+  return override.durationSeconds || null;
+};
+
+const withRemaining = (override, now = Date.now()) => ({
+  ...override.toObject(),
+  remainingSeconds: remainingSeconds(override, now),
+});
+
+// Record the override a manual_control command starts, replacing any
+// active one on the same actuator (restored if the command fails). A
+// timed one only starts counting down once the command has executed.
+const startOverride = async (io, site, command, { duration, onExpiry, user }) => {
+  const { actuator, state, pwm } = command.payload;
+  const on = isOn(command.payload);
+
+  const previous = await ManualOverride.findOne({ site: site._id, actuator, status: 'active' });
+  await ManualOverride.updateMany(
+    { site: site._id, actuator, status: 'active' },
+    { status: 'replaced', endedAt: new Date() }
+  );
+
+  const override = await ManualOverride.create({
+    site: site._id,
+    actuator,
+    state,
+    pwm,
+    command: command._id,
+    replaces: previous ? previous._id : undefined,
+    durationSeconds: duration || undefined,
+    endsAt: duration && command.status === 'executed'
+      ? new Date(command.completedAt.getTime() + duration * 1000)
+      : undefined,
+    onExpiry,
+    runStartedAt: on
+      ? (previous && isOn(previous) && (previous.runStartedAt || previous.startedAt)) || new Date()
+      : undefined,
+    startedBy: user ? user._id : undefined,
+    username: user ? user.username : undefined,
+  });
+
+  emitToSite(io, site._id, 'override_started', withRemaining(override));
+  return override;
+};
+
+// End every active override of a greenhouse (automatic mode resumed)
+const endOverrides = (site) => ManualOverride.updateMany(
+  { site: site._id, status: 'active' },
+  { status: 'ended', endedAt: new Date() }
+);
+
+// Active overrides of a greenhouse with their remaining time
+const getActiveOverrides = async (site) => {
+  const overrides = await ManualOverride.find({ site: site._id, status: 'active' }).sort({ startedAt: 1 });
+  const now = Date.now();
+  return overrides.map(override => withRemaining(override, now));
+};
+
+// Switch off (and end the overrides of) actuators that require one about
+// to be switched off
+const switchOffDependents = async (io, site, actuator) => {
+  const { violations } = await checkCommand(site, { actuator, state: false });
+
+  for (const { dependent } of violations.filter(v => v.dependent)) {
+    await ManualOverride.updateMany(
+      { site: site._id, actuator: dependent, status: 'active' },
+      { status: 'ended', endedAt: new Date() }
+    );
+    await queueCommand(io, site, {
+      type: 'manual_control',
+      payload: { actuator: dependent, state: false },
+    });
+  }
+};
+
+const revertOverride = async (io, override) => {
+  const site = await Greenhouse.findById(override.site);
+  if (!site) return;
+
+  const othersActive = await ManualOverride.exists({
+    site: site._id,
+    status: 'active',
+    _id: { $ne: override._id },
+  });
+  const resumeAuto = override.onExpiry === 'auto' && !othersActive;
+
+  override.status = 'expired';
+  override.endedAt = new Date();
+  await override.save();
+
+  if (!resumeAuto) {
+    await switchOffDependents(io, site, override.actuator);
+  }
+
+  const command = resumeAuto
+    ? await queueCommand(io, site, { type: 'resume_auto' })
+    : await queueCommand(io, site, {
+      type: 'manual_control',
+      payload: { actuator: override.actuator, state: false },
+    });
+
+  override.revertCommand = command._id;
+  await override.save();
+
+  await ActivityLog.create({
+    username: 'system',
+    action: 'override_expired',
+    details: {
+      site: site.slug,
+      actuator: override.actuator,
+      startedBy: override.username,
+      reverted: resumeAuto ? 'resume_auto' : 'off',
+      command: command._id,
+    },
+  });
+
+  emitToSite(io, site._id, 'override_expired', {
+    ...override.toObject(),
+    reverted: resumeAuto ? 'resume_auto' : 'off',
+  });
+};
+
+// Revert timed overrides that ran out
+const expireOverrides = async ({ io }) => {
+  const due = await ManualOverride.find({
+    status: 'active',
+    endsAt: { $lte: new Date() },
+  }).sort({ endsAt: 1 }).limit(100);
+
+  for (const override of due) {
+    await revertOverride(io, override);
+  }
+};
+
+module.exports = {
+  ...createJob('overrides', RUN_INTERVAL_MS, expireOverrides),
+  startOverride,
+  endOverrides,
+  getActiveOverrides,
+};
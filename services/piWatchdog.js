@@ -0,0 +1,197 @@
+const { PiStatus, PiStatusHistory, SystemAlert } = require('../models');
+const { createJob } = require('../utils/jobs');
+const { emitToSite } = require('../utils/socket');
+const { recordAlert, resolveAlert } = require('./alerts');
+
+// ===================================================================
+// PI WATCHDOG — Notice when a greenhouse's Pi or Arduino goes away
+// ===================================================================
+// A Pi whose last heartbeat is older than PI_OFFLINE_SECONDS is marked
+// offline with a CRITICAL alert, resolved by its next heartbeat.
+// Heartbeats reporting `arduino_connected: false` raise an ERROR alert
+// until it is back; a rising `arduino_reboot_count` raises a WARNING.
+// Every change is kept in PiStatusHistory (for availability figures) and
+// broadcast as `pi_connectivity`.
+
+const OFFLINE_MS = (parseInt(process.env.PI_OFFLINE_SECONDS, 10) || 180) * 1000;
+const RUN_INTERVAL_MS = 30 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Periods availability is reported for
+const AVAILABILITY_WINDOWS = { '24h': DAY, '7d': 7 * DAY, '30d': 30 * DAY };
+
+const broadcast = (io, status) => {
+  emitToSite(io, status.site, 'pi_connectivity', {
+    online: status.online,
+    offlineSince: status.offlineSince || null,
+    lastHeartbeat: status.lastHeartbeat,
+    arduino_connected: status.arduino_connected,
+  });
+};
+
+const record = (status, event, details, at = new Date()) => PiStatusHistory.create({
+  site: status.site,
+  device: status.device,
+  event,
+  details,
+  at,
+});
+
+// Resolve a watchdog alert unless someone already did
+const resolveById = async (io, alertId) => {
+  const alert = alertId ? await SystemAlert.findById(alertId) : null;
+  if (alert && alert.state !== 'resolved') {
+    await resolveAlert(io, alert);
+  }
+};
+
+// Compare a stored heartbeat with the status before it (null for the
+// first one) and record what changed
+const watchHeartbeat = async (io, previous, status) => {
+  let changed = false;
+
+  if (!previous || previous.online === false) {
+    await resolveById(io, status.offlineAlert);
+    await record(status, 'online', previous && previous.offlineSince
+      ? { offlineSeconds: Math.round((status.lastHeartbeat - previous.offlineSince) / 1000) }
+      : undefined);
+    status.online = true;
+    status.offlineSince = undefined;
+    status.offlineAlert = undefined;
+    changed = true;
+  }
+
+  const connected = status.arduino_connected;
+  if (typeof connected === 'boolean' && (!previous || previous.arduino_connected !== connected)) {
+    await record(status, connected ? 'arduino_connected' : 'arduino_disconnected');
+
+    if (!connected) {
+      const alert = await recordAlert(io, {
+        site: status.site,
+        device: status.device,
+        level: 'ERROR',
+        source: 'backend',
+        message: 'Arduino disconnected from the Pi',
+      });
+      status.arduinoAlert = alert._id;
+    } else {
+      await resolveById(io, status.arduinoAlert);
+      status.arduinoAlert = undefined;
+    }
+    changed = true;
+  }
+
+  const from = previous && previous.arduino_reboot_count;
+  const to = status.arduino_reboot_count;
+  // The count restarts with the Pi, so only a rise counts
+  if (typeof from === 'number' && typeof to === 'number' && to > from) {
+    await record(status, 'arduino_reboot', { from, to });
+    await recordAlert(io, {
+      site: status.site,
+      device: status.device,
+      level: 'WARNING',
+      source: 'backend',
+      message: `Arduino rebooted ${to - from} time(s) (reboot count ${to})`,
+    });
+  }
+
+  await status.save();
+  if (changed) broadcast(io, status);
+};
+
+// Mark Pis that stopped sending heartbeats offline
+const checkHeartbeats = async ({ io }) => {
+  const cutoff = new Date(Date.now() - OFFLINE_MS);
+  const stale = await PiStatus.find({
+    online: { $ne: false },
+    lastHeartbeat: { $lt: cutoff },
+  }).select('_id');
+
+  for (const { _id } of stale) {
+    // Claimed atomically so a heartbeat arriving meanwhile wins
+    const status = await PiStatus.findOneAndUpdate(
+      { _id, online: { $ne: false }, lastHeartbeat: { $lt: cutoff } },
+      { online: false },
+      { new: true }
+    );
+    if (!status) continue;
+
+    status.offlineSince = status.lastHeartbeat;
+    const alert = await recordAlert(io, {
+      site: status.site,
+      device: status.device,
+      level: 'CRITICAL',
+      source: 'backend',
+      message: `Pi offline: no heartbeat for ${Math.round(OFFLINE_MS / 60000)} minutes`,
+    });
+    status.offlineAlert = alert._id;
+    await status.save();
+
+    await record(status, 'offline', undefined, status.lastHeartbeat);
+    broadcast(io, status);
+  }
+};
+
+// Share of the known time since `since` a pair of history events spent
+// in its "up" state, and how often it went down
+const uptime = async (siteId, [up, down], since, now) => {
+  const [before, entries] = await Promise.all([
+    PiStatusHistory.findOne({ site: siteId, event: { $in: [up, down] }, at: { $lt: since } }).sort({ at: -1 }),
+    PiStatusHistory.find({ site: siteId, event: { $in: [up, down] }, at: { $gte: since, $lte: now } }).sort({ at: 1 }),
+  ]);
+
+  let state = before ? before.event === up : null;
+  let from = since.getTime();
+  let known = 0;
+  let upMs = 0;
+  let downs = 0;
+
+  for (const entry of [...entries, { at: now, event: null }]) {
+    const at = entry.at.getTime();
+    if (state !== null) {
+      known += at - from;
+      if (state) upMs += at - from;
+    }
+    if (entry.event) {
+      if (entry.event === down && state !== false) downs += 1;
+      state = entry.event === up;
+    }
+    from = at;
+  }
+
+  return {
+    pct: known > 0 ? Math.round((upMs / known) * 10000) / 100 : null,
+    downSeconds: Math.round((known - upMs) / 1000),
+    downs,
+  };
+};
+
+// Availability of a greenhouse's Pi and Arduino per window. Percentages
+// are of the time with history (null before the first heartbeat).
+const getAvailability = async (siteId, now = new Date()) => {
+  const result = {};
+  for (const [window, ms] of Object.entries(AVAILABILITY_WINDOWS)) {
+    const since = new Date(now.getTime() - ms);
+    const [pi, arduino, reboots] = await Promise.all([
+      uptime(siteId, ['online', 'offline'], since, now),
+      uptime(siteId, ['arduino_connected', 'arduino_disconnected'], since, now),
+      PiStatusHistory.countDocuments({ site: siteId, event: 'arduino_reboot', at: { $gte: since } }),
+    ]);
+    result[window] = {
+      online_pct: pi.pct,
+      offline_seconds: pi.downSeconds,
+      outages: pi.downs,
+      arduino_connected_pct: arduino.pct,
+      arduino_disconnects: arduino.downs,
+      arduino_reboots: reboots,
+    };
+  }
+  return result;
+};
+
+module.exports = {
+  ...createJob('pi-watchdog', RUN_INTERVAL_MS, checkHeartbeats),
+  OFFLINE_MS,
+  watchHeartbeat,
+  getAvailability,
+};
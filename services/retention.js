@@ -0,0 +1,160 @@
+const mongoose = require('mongoose');
+const { RetentionPolicy } = require('../models');
+require('../models/Reading');
+require('../models/Rollup');
+require('../models/Command');
+require('../models/Anomaly');
+const { createJob } = require('../utils/jobs');
+const { migrateLegacyAlerts } = require('./alerts');
+
+// ===================================================================
+// RETENTION JOB — Purge data older than each collection's policy
+// ===================================================================
+// Replaces the fixed TTL indexes ActivityLog and SystemAlert used to
+// have, so head admins can change retention at runtime.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Collections under retention: model, timestamp field, default days
+// (null = keep forever) and which documents may go at all (`filter`)
+const RETENTION_TARGETS = {
+  readings: { model: 'Reading', field: 'received_at', defaultDays: null },
+  rejected_readings: { model: 'RejectedReading', field: 'received_at', defaultDays: 30 },
+  rollups_1m: { model: 'ReadingRollup1m', field: 'bucket', defaultDays: 90 },
+  rollups_15m: { model: 'ReadingRollup15m', field: 'bucket', defaultDays: null },
+  rollups_1h: { model: 'ReadingRollup1h', field: 'bucket', defaultDays: null },
+  rollups_1d: { model: 'ReadingRollup1d', field: 'bucket', defaultDays: null },
+  events: { model: 'Event', field: 'received_at', defaultDays: null },
+  // Alerts still open are kept much longer: they may be ongoing (Pi
+  // offline, threshold drift), but nobody resolves many Pi alerts
+  alerts: { model: 'SystemAlert', field: 'lastOccurredAt', defaultDays: 7, filter: { state: 'resolved' } },
+  unresolved_alerts: {
+    model: 'SystemAlert', field: 'lastOccurredAt', defaultDays: 90, filter: { state: { $ne: 'resolved' } },
+  },
+  activity_logs: { model: 'ActivityLog', field: 'timestamp', defaultDays: 30 },
+  notification_deliveries: { model: 'NotificationDelivery', field: 'createdAt', defaultDays: 30 },
+  commands: { model: 'Command', field: 'createdAt', defaultDays: 30 },
+  schedule_runs: { model: 'ScheduleRun', field: 'createdAt', defaultDays: 90 },
+  pi_status_history: { model: 'PiStatusHistory', field: 'at', defaultDays: 90 },
+  anomalies: { model: 'Anomaly', field: 'startedAt', defaultDays: 180 },
+};
+
+// Models that used to carry a TTL index on `timestamp`
+const LEGACY_TTL_MODELS = ['ActivityLog', 'SystemAlert'];
+
+const RUN_INTERVAL_MS = 60 * 60 * 1000;
+
+// Current policy per target: { readings: 90, events: null, ... }
+const getPolicies = async () => {
+  const stored = await RetentionPolicy.find().lean();
+  const policies = {};
+  for (const [target, { defaultDays }] of Object.entries(RETENTION_TARGETS)) {
+    const policy = stored.find(p => p.target === target);
+    policies[target] = policy ? policy.days : defaultDays;
+  }
+  return policies;
+};
+
+// Documents of a target past a cutoff
+const expiredQuery = (target, cutoff) => {
+  const { field, filter } = RETENTION_TARGETS[target];
+  return { ...filter, [field]: { $lt: cutoff } };
+};
+
+// Check a { target: days|null } update. Returns an error message or null.
+const validatePolicies = (updates) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return 'Body must map collections to a number of days (or null for forever)';
+  }
+  for (const [target, days] of Object.entries(updates)) {
+    if (!RETENTION_TARGETS[target]) {
+      return `Unknown collection ${target}. Valid: ${Object.keys(RETENTION_TARGETS).join(', ')}`;
+    }
+    if (days !== null && (!Number.isInteger(days) || days < 1)) {
+      return `${target}: days must be a whole number of at least 1, or null`;
+    }
+  }
+  return null;
+};
+
+// Documents each policy would delete right now
+const countPurgeable = async (policies) => {
+  await migrateLegacyAlerts();
+  const report = {};
+  for (const [target, days] of Object.entries(policies)) {
+    const { model } = RETENTION_TARGETS[target];
+    if (days === null) {
+      report[target] = { days, cutoff: null, wouldDelete: 0 };
+      continue;
+    }
+    const cutoff = new Date(Date.now() - days * DAY);
+    const wouldDelete = await mongoose.model(model).countDocuments(expiredQuery(target, cutoff));
+    report[target] = { days, cutoff, wouldDelete };
+  }
+  return report;
+};
+
+// Save policy changes
+const savePolicies = async (updates, userId) => {
+  for (const [target, days] of Object.entries(updates)) {
+    await RetentionPolicy.findOneAndUpdate(
+      { target },
+      { days, updatedBy: userId },
+      { upsert: true, new: true, runValidators: true }
+    );
+  }
+  return getPolicies();
+};
+
+// Drop the old fixed TTL indexes so they no longer override policies,
+// then recreate the plain timestamp index in their place
+let legacyIndexesDropped = false;
+const dropLegacyTtlIndexes = async () => {
+  for (const name of LEGACY_TTL_MODELS) {
+    const model = mongoose.model(name);
+    let indexes;
+    try {
+      indexes = await model.collection.indexes();
+    } catch (error) {
+      continue; // Collection does not exist yet
+    }
+    const ttl = indexes.filter(i => i.expireAfterSeconds !== undefined && i.key.timestamp);
+    for (const index of ttl) {
+      await model.collection.dropIndex(index.name);
+      console.log(`✓ Dropped legacy TTL index ${name}.${index.name}`);
+    }
+    if (ttl.length > 0) {
+      await model.createIndexes();
+    }
+  }
+  legacyIndexesDropped = true;
+};
+
+// Delete everything older than its policy
+const purge = async () => {
+  if (!legacyIndexesDropped) {
+    await dropLegacyTtlIndexes();
+  }
+  // Alerts without a state would never count as resolved
+  await migrateLegacyAlerts();
+
+  const policies = await getPolicies();
+  for (const [target, days] of Object.entries(policies)) {
+    if (days === null) continue;
+    const { model } = RETENTION_TARGETS[target];
+    const cutoff = new Date(Date.now() - days * DAY);
+    const result = await mongoose.model(model).deleteMany(expiredQuery(target, cutoff));
+    if (result.deletedCount > 0) {
+      console.log(`Retention: purged ${result.deletedCount} ${target} older than ${days} days`);
+    }
+  }
+};
+
+module.exports = {
+  ...createJob('retention', RUN_INTERVAL_MS, purge),
+  RETENTION_TARGETS,
+  getPolicies,
+  validatePolicies,
+  countPurgeable,
+  savePolicies,
+};
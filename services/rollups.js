@@ -0,0 +1,184 @@
+const Reading = require('../models/Reading');
+const { RESOLUTIONS, ROLLUP_METRICS, DUTY_ACTUATORS, getRollupModel } = require('../models/Rollup');
+const { createJob } = require('../utils/jobs');
+const { metricExpression } = require('../utils/metrics');
+
+// ===================================================================
+// ROLLUP JOB — Downsample raw readings into 1m / 15m / 1h / 1d tiers
+// ===================================================================
+// 1m buckets are built from raw readings, every coarser tier from the
+// tier below it (so a daily bucket never rescans a day of raw data).
+// Buckets are keyed by `received_at`, in UTC, and readings flagged
+// out_of_range are left out. Each run recomputes the newest (still
+// filling) bucket and backfills at most MAX_SPAN per tier, so a fresh
+// install catches up on old history gradually.
+
+const TIERS = [
+  { resolution: '1m', source: null, trunc: { unit: 'minute', binSize: 1 } },
+  { resolution: '15m', source: '1m', trunc: { unit: 'minute', binSize: 15 } },
+  { resolution: '1h', source: '15m', trunc: { unit: 'hour', binSize: 1 } },
+  { resolution: '1d', source: '1h', trunc: { unit: 'day', binSize: 1 } },
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_SPAN = { '1m': DAY, '15m': 7 * DAY, '1h': 30 * DAY, '1d': 365 * DAY };
+
+const RUN_INTERVAL_MS = 60 * 1000;
+
+// Start of the not-yet-final bucket per tier (kept in memory, re-derived
+// from the newest stored bucket after a restart)
+const cursors = {};
+
+const floorTo = (time, size) => new Date(Math.floor(time / size) * size);
+
+// Whether an actuator is on in a raw reading
+const rawDuty = (actuator) => (actuator === 'peltier'
+  ? { $cond: [{ $gt: ['$actuators.peltier_pwm', 0] }, 1, 0] }
+  : { $cond: [{ $eq: [`$actuators.${actuator}`, true] }, 1, 0] });
+
+// $group accumulators summarising raw readings
+const rawAccumulators = () => {
+  const group = { count: { $sum: 1 } };
+  for (const metric of ROLLUP_METRICS) {
+    const value = metricExpression(metric);
+    group[`${metric}_min`] = { $min: value };
+    group[`${metric}_max`] = { $max: value };
+    group[`${metric}_sum`] = { $sum: value };
+    group[`${metric}_count`] = { $sum: { $cond: [{ $isNumber: value }, 1, 0] } };
+    group[`${metric}_sumSq`] = { $sum: { $cond: [{ $isNumber: value }, { $multiply: [value, value] }, 0] } };
+  }
+  for (const actuator of DUTY_ACTUATORS) {
+    group[`duty_${actuator}`] = { $sum: rawDuty(actuator) };
+  }
+  group.peltier_pwm = { $sum: { $ifNull: ['$actuators.peltier_pwm', 0] } };
+  return group;
+};
+
+// Sum of squares of a bucket's samples. Buckets built before it was
+// stored count every sample at the bucket average.
+const sumOfSquares = (stats) => {
+  const avg = { $ifNull: [`${stats}.avg`, 0] };
+  return { $ifNull: [`${stats}.sumSq`, { $multiply: [avg, avg, { $ifNull: [`${stats}.count`, 0] }] }] };
+};
+
+// $group accumulators merging buckets of the tier below
+const rollupAccumulators = () => {
+  const group = { count: { $sum: '$count' } };
+  for (const metric of ROLLUP_METRICS) {
+    const stats = `$metrics.${metric}`;
+    group[`${metric}_min`] = { $min: `${stats}.min` };
+    group[`${metric}_max`] = { $max: `${stats}.max` };
+    group[`${metric}_sum`] = {
+      $sum: { $multiply: [{ $ifNull: [`${stats}.avg`, 0] }, { $ifNull: [`${stats}.count`, 0] }] },
+    };
+    group[`${metric}_count`] = { $sum: { $ifNull: [`${stats}.count`, 0] } };
+    group[`${metric}_sumSq`] = { $sum: sumOfSquares(stats) };
+  }
+  for (const actuator of DUTY_ACTUATORS) {
+    group[`duty_${actuator}`] = { $sum: { $multiply: [{ $ifNull: [`$duty.${actuator}`, 0] }, '$count'] } };
+  }
+  group.peltier_pwm = { $sum: { $multiply: [{ $ifNull: ['$peltier_pwm_avg', 0] }, '$count'] } };
+  return group;
+};
+
+// Turn group sums into a rollup document
+const rollupProjection = () => {
+  const ratio = (sum, count) => ({ $cond: [{ $gt: [count, 0] }, { $divide: [sum, count] }, null] });
+  const project = {
+    _id: 0,
+    site: '$_id.site',
+    bucket: '$_id.bucket',
+    count: 1,
+    peltier_pwm_avg: ratio('$peltier_pwm', '$count'),
+  };
+  for (const metric of ROLLUP_METRICS) {
+    project[`metrics.${metric}`] = {
+      min: `$${metric}_min`,
+      max: `$${metric}_max`,
+      avg: ratio(`$${metric}_sum`, `$${metric}_count`),
+      count: `$${metric}_count`,
+      sumSq: `$${metric}_sumSq`,
+    };
+  }
+  for (const actuator of DUTY_ACTUATORS) {
+    project[`duty.${actuator}`] = ratio(`$duty_${actuator}`, '$count');
+  }
+  return project;
+};
+
+// First bucket a tier should (re)compute when no cursor is known
+const initialCursor = async ({ resolution, source }) => {
+  const size = RESOLUTIONS[resolution];
+  const latest = await getRollupModel(resolution).findOne().sort({ bucket: -1 }).select('bucket').lean();
+  if (latest) return latest.bucket;
+
+  const first = source
+    ? await getRollupModel(source).findOne().sort({ bucket: 1 }).select('bucket').lean()
+    : await Reading.findOne({ site: { $exists: true } }).sort({ received_at: 1 }).select('received_at').lean();
+  if (!first) return null;
+
+  return floorTo((source ? first.bucket : first.received_at).getTime(), size);
+};
+
+// Recompute one window of a tier and advance its cursor
+const rollupTier = async (tier) => {
+  const { resolution, source, trunc } = tier;
+  const size = RESOLUTIONS[resolution];
+
+  if (!cursors[resolution]) {
+    cursors[resolution] = await initialCursor(tier);
+    if (!cursors[resolution]) return;
+  }
+
+  const from = cursors[resolution];
+  // Never read past the part of the source tier that is final
+  const sourceLimit = source ? cursors[source] : new Date();
+  if (!sourceLimit) return;
+  const to = new Date(Math.min(Date.now(), from.getTime() + MAX_SPAN[resolution], sourceLimit.getTime()));
+  if (to <= from) return;
+
+  const timeField = source ? 'bucket' : 'received_at';
+  const match = { site: { $exists: true }, [timeField]: { $gte: from, $lt: to } };
+  if (!source) {
+    match.quality = { $ne: 'out_of_range' };
+  }
+
+  const model = source ? getRollupModel(source) : Reading;
+
+  await model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: {
+          site: '$site',
+          bucket: { $dateTrunc: { date: `$${timeField}`, ...trunc } },
+        },
+        ...(source ? rollupAccumulators() : rawAccumulators()),
+      },
+    },
+    { $project: rollupProjection() },
+    {
+      $merge: {
+        into: getRollupModel(resolution).collection.name,
+        on: ['site', 'bucket'],
+        whenMatched: 'replace',
+        whenNotMatched: 'insert',
+      },
+    },
+  ]);
+
+  // The bucket containing `to` may still be filling — redo it next run
+  cursors[resolution] = floorTo(to.getTime(), size);
+};
+
+// Bring every tier up to date (finest first)
+const runRollups = async () => {
+  for (const tier of TIERS) {
+    await rollupTier(tier);
+  }
+};
+
+module.exports = {
+  ...createJob('rollups', RUN_INTERVAL_MS, runRollups),
+  sumOfSquares,
+};
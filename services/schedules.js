@@ -0,0 +1,171 @@
+const Greenhouse = require('../models/Greenhouse');
+const Reading = require('../models/Reading');
+const Schedule = require('../models/Schedule');
+const { Threshold, ScheduleRun } = require('../models');
+const { getMetricValue } = require('../utils/metrics');
+const { localClock } = require('../utils/clock');
+const { createJob } = require('../utils/jobs');
+const { emitToSite } = require('../utils/socket');
+const { queueCommand } = require('./commands');
+const { startOverride } = require('./overrides');
+const { checkCommand } = require('./interlocks');
+
+// ===================================================================
+// ACTUATOR SCHEDULER — Dispatch scheduled actuator runs
+// ===================================================================
+// Every 30 seconds enabled schedules whose `nextRunAt` has passed are
+// run: skip conditions are checked on the latest reading, then the
+// command goes through the interlocks and the command queue like a
+// manual one (username "system") and holds the actuator as a timed
+// override. Each run is recorded as a ScheduleRun and broadcast as
+// `schedule_run`. Runs more than 10 minutes late (backend down) are
+// recorded as missed instead.
+
+const RUN_INTERVAL_MS = 30 * 1000;
+const MISSED_AFTER_MS = 10 * 60 * 1000;
+// Skip conditions are only checked against a reading this recent
+const READING_MAX_AGE_MS = 15 * 60 * 1000;
+
+const MINUTE = 60 * 1000;
+
+// Next weekly run after `after`. The greenhouse's UTC offset at `after`
+// is used for the whole week, so a run right after a DST switch can be an
+// hour off once.
+const nextWeeklyRun = (rule, timeZone, after) => {
+  const clock = localClock(after, timeZone);
+  const [year, month, day] = clock.date.split('-').map(Number);
+  const [hour, minute] = clock.time.split(':').map(Number);
+  const offset = Date.UTC(year, month - 1, day, hour, minute) - Math.floor(after.getTime() / MINUTE) * MINUTE;
+  const times = [...rule.times].sort();
+
+  for (let d = 0; d <= 7; d++) {
+    const weekday = new Date(Date.UTC(year, month - 1, day + d)).getUTCDay();
+    if (rule.days.length > 0 && !rule.days.includes(weekday)) continue;
+
+    for (const time of times) {
+      const [h, m] = time.split(':').map(Number);
+      const at = new Date(Date.UTC(year, month - 1, day + d, h, m) - offset);
+      if (at > after) return at;
+    }
+  }
+  return null;
+};
+
+// When a schedule is next due after `after` (null while disabled).
+// Interval rules keep their rhythm: the next run is a whole number of
+// intervals after the last due time.
+const nextRunAt = (schedule, timeZone, after = new Date()) => {
+  if (!schedule.enabled) return null;
+  const { rule } = schedule;
+
+  if (rule.kind === 'interval') {
+    const every = rule.everyMinutes * MINUTE;
+    const from = schedule.nextRunAt && schedule.nextRunAt <= after ? schedule.nextRunAt.getTime() : null;
+    if (from === null) return new Date(after.getTime() + every);
+    return new Date(from + (Math.floor((after.getTime() - from) / every) + 1) * every);
+  }
+  return nextWeeklyRun(rule, timeZone || 'UTC', after);
+};
+
+// Why a run should be skipped (null = run it). Without a recent reading
+// the conditions cannot hold; the interlocks still guard the actuator.
+const skipReason = async (schedule, site) => {
+  if (schedule.skipIf.length === 0) return null;
+
+  const reading = await Reading.findOne({
+    site: site._id,
+    received_at: { $gte: new Date(Date.now() - READING_MAX_AGE_MS) },
+  }).sort({ received_at: -1 });
+  if (!reading) return null;
+
+  const thresholds = schedule.skipIf.some(skip => skip.thresholdField)
+    ? await Threshold.getCurrent(site._id)
+    : null;
+
+  for (const skip of schedule.skipIf) {
+    const value = getMetricValue(reading, skip.metric);
+    const limit = skip.thresholdField ? thresholds[skip.thresholdField] : skip.value;
+    if (value === null || typeof limit !== 'number') continue;
+
+    if (skip.condition === 'above' ? value > limit : value < limit) {
+      return `${skip.metric} ${value} is ${skip.condition} ${skip.thresholdField || 'the limit'} (${limit})`;
+    }
+  }
+  return null;
+};
+
+// Run a due schedule and work out when it is next due
+const runSchedule = async (io, schedule, now = new Date()) => {
+  const site = await Greenhouse.findById(schedule.site);
+  if (!site) {
+    // Greenhouse deleted: drop the schedule so it stops coming due
+    await ScheduleRun.deleteMany({ schedule: schedule._id });
+    await schedule.deleteOne();
+    return null;
+  }
+
+  const scheduledFor = schedule.nextRunAt || now;
+  const payload = { actuator: schedule.actuator, state: schedule.state };
+  if (schedule.pwm != null) payload.pwm = schedule.pwm;
+
+  const run = { schedule: schedule._id, site: site._id, scheduledFor };
+
+  if (now - scheduledFor > MISSED_AFTER_MS) {
+    run.status = 'missed';
+  } else {
+    run.reason = await skipReason(schedule, site);
+    if (run.reason) {
+      run.status = 'skipped';
+    }
+  }
+
+  if (!run.status) {
+    const { violations } = await checkCommand(site, payload, { duration: schedule.durationSeconds });
+    if (violations.length > 0) {
+      run.status = 'blocked';
+      run.reason = violations.map(v => v.message).join(', ');
+      run.violations = violations;
+    } else {
+      const command = await queueCommand(io, site, { type: 'manual_control', payload });
+      await startOverride(io, site, command, {
+        duration: schedule.durationSeconds,
+        onExpiry: schedule.onExpiry,
+      });
+      run.status = 'dispatched';
+      run.command = command._id;
+    }
+  }
+
+  const record = await ScheduleRun.create(run);
+
+  schedule.lastRunAt = now;
+  schedule.lastStatus = run.status;
+  schedule.nextRunAt = nextRunAt(schedule, site.timezone, now);
+  await schedule.save();
+
+  emitToSite(io, site._id, 'schedule_run', { ...record.toObject(), name: schedule.name, nextRunAt: schedule.nextRunAt });
+  return record;
+};
+
+// Run every schedule that is due
+const runDueSchedules = async ({ io }) => {
+  const now = new Date();
+  const due = await Schedule.find({
+    enabled: true,
+    nextRunAt: { $lte: now },
+  }).sort({ nextRunAt: 1 }).limit(100);
+
+  for (const schedule of due) {
+    try {
+      await runSchedule(io, schedule, now);
+    } catch (error) {
+      // One broken schedule must not hold up the rest
+      console.error(`Schedule ${schedule._id} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  ...createJob('schedules', RUN_INTERVAL_MS, runDueSchedules),
+  nextRunAt,
+};
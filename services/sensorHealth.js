@@ -0,0 +1,207 @@
+const Greenhouse = require('../models/Greenhouse');
+const Reading = require('../models/Reading');
+const SensorHealth = require('../models/SensorHealth');
+const { SystemAlert } = require('../models');
+const { createJob } = require('../utils/jobs');
+const { emitToSite } = require('../utils/socket');
+const { recordAlert, resolveAlert } = require('./alerts');
+
+// ===================================================================
+// SENSOR HEALTH — Spot stale, stuck and failing sensors
+// ===================================================================
+// Every 5 minutes each greenhouse's recent readings are checked per
+// sensor. A check only judges a window the readings actually cover (at
+// least MIN_SAMPLES, the oldest within 90% of the window), so a Pi that
+// just came back is not flagged. A sensor turning faulty raises an ERROR
+// alert, soil probes that disagree a WARNING (one, on soil1); both
+// resolve once the sensor is ok again. Changes are broadcast as `sensor_health`.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const RUN_INTERVAL_MS = 5 * MINUTE;
+
+// The same value for this long is a stuck sensor
+const FLATLINE_MS = 6 * HOUR;
+// Readings arriving without a sensor this long means it is missing
+// (only for sensors that reported before: not every Pi has an NPK probe)
+const MISSING_MS = 30 * MINUTE;
+// soil1 and soil2 further apart than this (points) for this long
+const DIVERGENCE_LIMIT = 40;
+const DIVERGENCE_MS = 2 * HOUR;
+const MIN_SAMPLES = 10;
+const COVERAGE = 0.9;
+
+// How to read each sensor. `part` sensors report `ok` and may be absent;
+// `value` is what must change over time (undefined = no value).
+const okPart = (part, fields) => (reading) => {
+  const data = reading[part];
+  return data && data.ok ? fields.map(field => data[field]).join('/') : undefined;
+};
+
+const SENSOR_CHECKS = {
+  temp: { value: r => r.temp },
+  hum: { value: r => r.hum },
+  soil1: { value: r => r.soil1 },
+  soil2: { value: r => r.soil2 },
+  dht11: { part: 'dht11', value: okPart('dht11', ['temp', 'hum']), failingMs: 30 * MINUTE },
+  dht22: { part: 'dht22', value: okPart('dht22', ['temp', 'hum']), failingMs: 30 * MINUTE },
+  // NPK levels legitimately hold still for hours, so no flatline check
+  npk: { part: 'npk', value: okPart('npk', ['n', 'p', 'k']), failingMs: 2 * HOUR, flatline: false },
+};
+
+const hoursText = (ms) => `${Math.round(ms / HOUR * 10) / 10} h`;
+
+// Readings of the last `ms`, or null unless they cover the window
+const coveredWindow = (readings, ms, now) => {
+  const from = now - ms;
+  const window = readings.filter(r => r.received_at.getTime() >= from);
+  if (window.length < MIN_SAMPLES || window[0].received_at.getTime() > now - ms * COVERAGE) {
+    return null;
+  }
+  return window;
+};
+
+// Issues of one sensor in readings sorted oldest first. `seen`: the
+// sensor has reported at some point.
+const sensorIssues = (sensor, readings, now, seen) => {
+  const check = SENSOR_CHECKS[sensor];
+  const issues = [];
+
+  if (check.part) {
+    const recent = readings.filter(r => r.received_at.getTime() >= now - MISSING_MS);
+    if (seen && recent.length >= MIN_SAMPLES && recent.every(r => !r[check.part])) {
+      issues.push({
+        check: 'missing',
+        message: `${sensor} absent from every reading for ${Math.round(MISSING_MS / MINUTE)} min`,
+        since: recent[0].received_at,
+      });
+    }
+
+    const failing = coveredWindow(readings.filter(r => r[check.part]), check.failingMs, now);
+    if (failing && failing.every(r => r[check.part].ok === false)) {
+      const lastOk = readings.filter(r => r[check.part] && r[check.part].ok !== false).pop();
+      issues.push({
+        check: 'failing',
+        message: `${sensor} reported ok: false for ${hoursText(check.failingMs)}`,
+        since: readings.find(r => r[check.part] && (!lastOk || r.received_at > lastOk.received_at)).received_at,
+      });
+    }
+  }
+
+  if (check.flatline !== false) {
+    const window = coveredWindow(readings.filter(r => check.value(r) !== undefined), FLATLINE_MS, now);
+    if (window && window.every(r => check.value(r) === check.value(window[0]))) {
+      issues.push({
+        check: 'flatline',
+        message: `${sensor} reported ${check.value(window[0])} for ${hoursText(FLATLINE_MS)}`,
+        since: window[0].received_at,
+      });
+    }
+  }
+
+  if (sensor === 'soil1' || sensor === 'soil2') {
+    const window = coveredWindow(readings, DIVERGENCE_MS, now);
+    if (window && window.every(r => Math.abs(r.soil1 - r.soil2) > DIVERGENCE_LIMIT)) {
+      issues.push({
+        check: 'divergence',
+        message: `soil1 and soil2 more than ${DIVERGENCE_LIMIT} points apart for ${hoursText(DIVERGENCE_MS)}`,
+        since: window[0].received_at,
+      });
+    }
+  }
+
+  return issues;
+};
+
+const statusOf = (issues, hasData) => {
+  if (!hasData) return 'unknown';
+  if (issues.some(issue => issue.check !== 'divergence')) return 'faulty';
+  return issues.length > 0 ? 'suspect' : 'ok';
+};
+
+const resolveById = async (io, alertId) => {
+  const alert = alertId ? await SystemAlert.findById(alertId) : null;
+  if (alert && alert.state !== 'resolved') {
+    await resolveAlert(io, alert);
+  }
+};
+
+// Check every sensor of a greenhouse and store the verdicts
+const evaluateSite = async (io, site, now = Date.now()) => {
+  const readings = await Reading.find({
+    site: site._id,
+    received_at: { $gte: new Date(now - FLATLINE_MS) },
+  })
+    .sort({ received_at: 1 })
+    .select('received_at temp hum soil1 soil2 dht11 dht22 npk')
+    .lean();
+  const hasData = readings.some(r => r.received_at.getTime() >= now - MISSING_MS);
+
+  const existing = await SensorHealth.find({ site: site._id });
+  const results = [];
+
+  for (const sensor of Object.keys(SENSOR_CHECKS)) {
+    const check = SENSOR_CHECKS[sensor];
+    const health = existing.find(h => h.sensor === sensor) || new SensorHealth({ site: site._id, sensor });
+    const last = readings.filter(r => (check.part ? r[check.part] : check.value(r) !== undefined)).pop();
+    const issues = hasData ? sensorIssues(sensor, readings, now, Boolean(last || health.lastSeenAt)) : [];
+    const status = statusOf(issues, hasData);
+
+    const changed = status !== health.status
+      || issues.map(i => i.check).join() !== health.issues.map(i => i.check).join();
+
+    if (status !== health.status) {
+      health.statusSince = new Date(now);
+      // Unknown keeps what was known: an open alert stays open
+      if (status !== 'unknown') {
+        await resolveById(io, health.alert);
+        health.alert = undefined;
+
+        // Divergence is one issue of both probes: soil1 alerts on it
+        const duplicate = status === 'suspect' && sensor === 'soil2';
+        if (status !== 'ok' && !duplicate) {
+          const alert = await recordAlert(io, {
+            site: site._id,
+            level: status === 'faulty' ? 'ERROR' : 'WARNING',
+            source: 'backend',
+            message: `Sensor ${sensor} ${status}: ${issues.map(i => i.message).join('; ')}`,
+          });
+          health.alert = alert._id;
+        }
+      }
+    }
+
+    health.status = status;
+    health.issues = issues;
+    if (last) {
+      health.lastValue = check.part ? last[check.part] : check.value(last);
+      health.lastSeenAt = last.received_at;
+    }
+    health.checkedAt = new Date(now);
+    await health.save();
+
+    if (changed) {
+      emitToSite(io, site._id, 'sensor_health', health);
+    }
+    results.push(health);
+  }
+  return results;
+};
+
+const checkAllSites = async ({ io }) => {
+  const sites = await Greenhouse.find();
+  for (const site of sites) {
+    try {
+      await evaluateSite(io, site);
+    } catch (error) {
+      // One broken greenhouse must not hold up the rest
+      console.error(`Sensor health check of ${site.slug} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  ...createJob('sensor-health', RUN_INTERVAL_MS, checkAllSites),
+  SENSOR_CHECKS,
+  evaluateSite,
+};
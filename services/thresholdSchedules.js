@@ -0,0 +1,161 @@
+const Greenhouse = require('../models/Greenhouse');
+const CropProfile = require('../models/CropProfile');
+const ThresholdSchedule = require('../models/ThresholdSchedule');
+const { Threshold } = require('../models');
+const { THRESHOLD_FIELDS } = require('../utils/metrics');
+const { validateThresholds } = require('../utils/thresholdValidation');
+const { createJob } = require('../utils/jobs');
+const { localClock } = require('../utils/clock');
+const { snapshot, getSafetyLimits, applyThresholds } = require('./thresholds');
+const { recordAlert } = require('./alerts');
+
+// ===================================================================
+// THRESHOLD SCHEDULER — Switch thresholds at stage dates and daily slots
+// ===================================================================
+// Every minute each enabled schedule is resolved against the current
+// date and time in its greenhouse's timezone. When the active stage or
+// daily slot differs from the one applied last, the combined values are
+// applied through applyThresholds() — saved as a revision, pushed to the
+// Pi via /api/thresholds/bulk and logged like a user change.
+
+const RUN_INTERVAL_MS = 60 * 1000;
+
+// Set values of a partial threshold set
+const definedValues = (values) => Object.fromEntries(THRESHOLD_FIELDS
+  .filter(field => values && typeof values[field] === 'number')
+  .map(field => [field, values[field]]));
+
+// Stage and daily slot in effect at `now`. Before the first stage there
+// is no stage; before the first slot of the day the last slot of the
+// previous day is still running.
+const resolveSchedule = (schedule, timeZone, now = new Date()) => {
+  const clock = localClock(now, timeZone || 'UTC');
+
+  const stages = [...schedule.stages].sort((a, b) => a.startDate.localeCompare(b.startDate));
+  const slots = [...schedule.dailySlots].sort((a, b) => a.time.localeCompare(b.time));
+
+  const stage = stages.filter(s => s.startDate <= clock.date).pop() || null;
+  const slot = slots.filter(s => s.time <= clock.time).pop() || slots[slots.length - 1] || null;
+
+  return {
+    clock,
+    stage,
+    slot,
+    key: `${stage ? stage._id : '-'}|${slot ? slot._id : '-'}`,
+  };
+};
+
+// Threshold values a resolved schedule sets, and the crop profile they
+// come from when nothing overrides it
+const scheduledValues = async ({ stage, slot }) => {
+  const profile = stage && stage.profile ? await CropProfile.findById(stage.profile) : null;
+  const stageValues = stage ? definedValues(stage.thresholds) : {};
+  const slotValues = slot ? definedValues(slot.thresholds) : {};
+
+  const values = {
+    ...(profile ? definedValues(profile.thresholds) : {}),
+    ...stageValues,
+    ...slotValues,
+  };
+  const pureProfile = profile
+    && Object.keys(stageValues).length === 0
+    && Object.keys(slotValues).length === 0;
+
+  return { values, profile: pureProfile ? profile._id : null };
+};
+
+// Check every stage and slot combination a schedule can switch to the way
+// applyThresholds() will: against the current values and safety limits.
+// Returns { 'stages.0.thresholds.temp_high': message } — empty when valid.
+const validateSchedule = async (schedule, site) => {
+  const [thresholds, limits] = await Promise.all([
+    Threshold.getCurrent(site._id),
+    getSafetyLimits(),
+  ]);
+  const current = snapshot(thresholds);
+  const errors = {};
+
+  // Before the first stage only the slots apply
+  const stages = [null, ...schedule.stages];
+  const slots = schedule.dailySlots.length > 0 ? schedule.dailySlots : [null];
+
+  for (const stage of stages) {
+    for (const slot of slots) {
+      if (!stage && !slot) continue;
+
+      const { values } = await scheduledValues({ stage, slot });
+      for (const [field, message] of Object.entries(validateThresholds(current, values, limits))) {
+        const fromSlot = slot && slot.thresholds && typeof slot.thresholds[field] === 'number';
+        const path = fromSlot
+          ? `dailySlots.${schedule.dailySlots.indexOf(slot)}.thresholds.${field}`
+          : `stages.${schedule.stages.indexOf(stage)}.thresholds.${field}`;
+        if (errors[path]) continue;
+        errors[path] = stage && slot
+          ? `${message} (stage ${stage.name} with slot ${slot.name})`
+          : message;
+      }
+    }
+  }
+  return errors;
+};
+
+// Apply a schedule's values if its stage or slot changed since last time
+const applySchedule = async (io, schedule) => {
+  const site = await Greenhouse.findById(schedule.site);
+  if (!site) return;
+
+  const active = resolveSchedule(schedule, site.timezone);
+  if (active.key === schedule.lastAppliedKey) return;
+
+  if (active.stage || active.slot) {
+    const { values, profile } = await scheduledValues(active);
+    const { errors, revision } = await applyThresholds(site, values, {
+      io,
+      source: 'schedule',
+      profile,
+      details: {
+        stage: active.stage ? active.stage.name : undefined,
+        slot: active.slot ? active.slot.name : undefined,
+      },
+    });
+    if (errors) {
+      // Marked applied anyway so the error is reported once per switch
+      const switchTo = [active.stage && `stage ${active.stage.name}`, active.slot && `slot ${active.slot.name}`]
+        .filter(Boolean).join(', ');
+      console.error(`Threshold schedule of ${site.slug} not applied:`, Object.values(errors).join(', '));
+      await recordAlert(io, {
+        site: site._id,
+        level: 'ERROR',
+        source: 'backend',
+        message: `Threshold schedule switch to ${switchTo} not applied: ${Object.values(errors).join(', ')}`,
+      });
+    } else if (revision) {
+      console.log(`Thresholds of ${site.slug} switched by schedule (revision ${revision.version})`);
+    }
+  }
+
+  schedule.lastAppliedKey = active.key;
+  schedule.lastAppliedAt = new Date();
+  await schedule.save();
+};
+
+const runSchedules = async ({ io }) => {
+  const schedules = await ThresholdSchedule.find({ enabled: true });
+
+  for (const schedule of schedules) {
+    try {
+      await applySchedule(io, schedule);
+    } catch (error) {
+      // One broken schedule (e.g. an invalid timezone) must not block the rest
+      console.error(`Threshold schedule of site ${schedule.site} failed:`, error.message);
+    }
+  }
+};
+
+module.exports = {
+  ...createJob('threshold-schedules', RUN_INTERVAL_MS, runSchedules),
+  resolveSchedule,
+  scheduledValues,
+  validateSchedule,
+  applySchedule,
+};
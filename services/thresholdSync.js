@@ -0,0 +1,29 @@
+const Greenhouse = require('../models/Greenhouse');
+const { Threshold } = require('../models');
+const { createJob } = require('../utils/jobs');
+const { retrySync } = require('./thresholds');
+
+// ===================================================================
+// THRESHOLD SYNC — Retry pushing thresholds the Pi has not accepted yet
+// ===================================================================
+// Greenhouses whose thresholds are `pending` are pushed again (full set)
+// once their backoff has passed. A heartbeat from the Pi triggers the
+// same push without waiting (see checkPiThresholds).
+
+const RUN_INTERVAL_MS = 30 * 1000;
+const BATCH_SIZE = 50;
+
+const retryDue = async ({ io }) => {
+  const due = await Threshold.find({
+    'sync.status': 'pending',
+    'sync.nextAttemptAt': { $lte: new Date() },
+  }).limit(BATCH_SIZE);
+
+  for (const thresholds of due) {
+    const site = await Greenhouse.findById(thresholds.site);
+    if (!site) continue;
+    await retrySync(io, site);
+  }
+};
+
+module.exports = createJob('threshold-sync', RUN_INTERVAL_MS, retryDue);
@@ -0,0 +1,324 @@
+const { Threshold, ThresholdRevision, ActivityLog, SystemAlert, SafetyLimit } = require('../models');
+const { THRESHOLD_FIELDS } = require('../utils/metrics');
+const { DEFAULT_SAFETY_LIMITS, validateThresholds } = require('../utils/thresholdValidation');
+const { emitToSite } = require('../utils/socket');
+const { postToPi } = require('../utils/piClient');
+const { recordAlert, resolveAlert } = require('./alerts');
+
+// ===================================================================
+// THRESHOLDS — Apply changes, record revisions and sync with the Pi
+// ===================================================================
+// Every change to a greenhouse's thresholds goes through
+// applyThresholds(): it saves the values, stores a numbered revision
+// (who, when, old -> new) and pushes the changed fields to the Pi.
+// Pushes that fail leave the thresholds `pending`; they are retried with
+// backoff by the threshold-sync job and as soon as the Pi's next
+// heartbeat arrives.
+
+// Wait before retry n (then every 30 minutes until the Pi accepts)
+const BACKOFF_MS = [30 * 1000, 60 * 1000, 2 * 60 * 1000, 5 * 60 * 1000, 10 * 60 * 1000, 30 * 60 * 1000];
+
+// Pi values closer than this to ours are not drift (float rounding)
+const DRIFT_TOLERANCE = 0.01;
+// Heartbeats this soon after a push may predate it, so they are not
+// checked for drift
+const DRIFT_GRACE_MS = 2 * 60 * 1000;
+
+// Activity logged for each kind of change
+const ACTIONS = {
+  user: 'threshold_changed',
+  rollback: 'threshold_rolled_back',
+  profile: 'crop_profile_applied',
+  schedule: 'threshold_scheduled',
+};
+
+// Threshold work of a greenhouse (applies, pushes, drift checks) runs
+// one job at a time, so none of them saves over another or reuses its
+// revision number
+const siteQueues = new Map();
+const serialized = (siteId, fn) => {
+  const key = String(siteId);
+  const run = (siteQueues.get(key) || Promise.resolve()).then(fn);
+  const tail = run.catch(() => {});
+  siteQueues.set(key, tail);
+  tail.then(() => {
+    if (siteQueues.get(key) === tail) siteQueues.delete(key);
+  });
+  return run;
+};
+
+// Current values of every threshold field
+const snapshot = (thresholds) =>
+  Object.fromEntries(THRESHOLD_FIELDS.map(field => [field, thresholds[field]]));
+
+// Fields whose value differs between two snapshots
+const diffValues = (from, to) => THRESHOLD_FIELDS
+  .filter(field => to[field] !== undefined && from[field] !== to[field])
+  .map(field => ({ field, from: from[field], to: to[field] }));
+
+// Current safety limit per field: { soil1: { min, max }, ... }
+const getSafetyLimits = async () => {
+  const stored = await SafetyLimit.find().lean();
+  return Object.fromEntries(THRESHOLD_FIELDS.map(field => {
+    const limit = stored.find(l => l.field === field);
+    return [field, limit ? { min: limit.min, max: limit.max } : DEFAULT_SAFETY_LIMITS[field]];
+  }));
+};
+
+// Save safety limit changes (checked with validateSafetyLimits)
+const saveSafetyLimits = async (updates, userId) => {
+  for (const [field, { min, max }] of Object.entries(updates)) {
+    await SafetyLimit.findOneAndUpdate(
+      { field },
+      { min, max, updatedBy: userId },
+      { upsert: true }
+    );
+  }
+  return getSafetyLimits();
+};
+
+// Push thresholds to the Pi. Only the `changed` fields are sent when the
+// Pi already has everything else; after a failed push (or with no
+// `changed`) the full set is. Returns whether the Pi accepted them.
+const pushThresholds = async (io, site, thresholds, changed = null) => {
+  const retrying = thresholds.sync.status === 'pending';
+  const payload = changed && !retrying ? changed : snapshot(thresholds);
+  const attempts = retrying ? thresholds.sync.attempts + 1 : 1;
+  const now = new Date();
+
+  try {
+    await postToPi(site, '/api/thresholds/bulk', payload);
+
+    thresholds.lastSyncedWithArduino = now;
+    thresholds.sync = { status: 'synced', attempts: 0, lastAttemptAt: now };
+    await thresholds.save();
+    // Everything stored so far is now on the Pi
+    await ThresholdRevision.updateMany(
+      { site: site._id, 'sync.status': 'pending' },
+      { $set: { 'sync.status': 'synced', 'sync.at': now } }
+    );
+
+  } catch (piError) {
+    console.error(`Failed to sync thresholds with Pi of ${site.slug}:`, piError.message);
+    thresholds.sync = {
+      status: 'pending',
+      attempts,
+      lastAttemptAt: now,
+      nextAttemptAt: new Date(now.getTime() + BACKOFF_MS[Math.min(attempts, BACKOFF_MS.length) - 1]),
+      lastError: piError.message,
+    };
+    await thresholds.save();
+  }
+
+  emitToSite(io, site._id, 'threshold_sync', {
+    ...thresholds.toObject().sync,
+    lastSyncedWithArduino: thresholds.lastSyncedWithArduino,
+  });
+  return thresholds.sync.status === 'synced';
+};
+
+// Compare the thresholds a Pi reports in its heartbeat with ours. A
+// pending sync is pushed straight away (the Pi is reachable again).
+// Otherwise differing values are flagged as drift — with a WARNING alert
+// when it starts — and pushed again; the drift and its alert clear once
+// the Pi reports matching values. Nothing is checked shortly after a
+// push, nor while an apply of the greenhouse is still running.
+const checkPiThresholds = (io, site, reported) => serialized(site._id, async () => {
+  const thresholds = await Threshold.getCurrent(site._id);
+
+  if (thresholds.sync.status === 'pending') {
+    await pushThresholds(io, site, thresholds);
+    return;
+  }
+  if (!reported || typeof reported !== 'object') return;
+
+  const now = new Date();
+  const lastPush = thresholds.sync.lastAttemptAt;
+  if (lastPush && now - lastPush < DRIFT_GRACE_MS) return;
+  const fields = THRESHOLD_FIELDS
+    .filter(field => typeof reported[field] === 'number'
+      && Math.abs(reported[field] - thresholds[field]) > DRIFT_TOLERANCE)
+    .map(field => ({ field, expected: thresholds[field], actual: reported[field] }));
+  const drifting = thresholds.drift.fields.length > 0;
+
+  thresholds.drift.checkedAt = now;
+
+  if (fields.length > 0) {
+    const known = drifting && thresholds.drift.fields.map(f => f.field).join() === fields.map(f => f.field).join();
+    thresholds.drift.fields = fields;
+    if (!drifting) thresholds.drift.detectedAt = now;
+
+    if (!known) {
+      const alert = await recordAlert(io, {
+        site: site._id,
+        level: 'WARNING',
+        source: 'backend',
+        message: `Pi thresholds differ from the backend: ${fields
+          .map(f => `${f.field} ${f.actual} (expected ${f.expected})`).join(', ')}`,
+      });
+      thresholds.drift.alert = alert._id;
+      emitToSite(io, site._id, 'threshold_drift', { fields, detectedAt: thresholds.drift.detectedAt });
+    }
+    await thresholds.save();
+
+    // Put our values back on the Pi
+    await pushThresholds(io, site, thresholds);
+    return;
+  }
+
+  if (drifting) {
+    const alert = thresholds.drift.alert ? await SystemAlert.findById(thresholds.drift.alert) : null;
+    if (alert && alert.state !== 'resolved') {
+      await resolveAlert(io, alert);
+    }
+    thresholds.drift = { fields: [], checkedAt: now };
+    emitToSite(io, site._id, 'threshold_drift', { fields: [], detectedAt: null });
+  }
+  await thresholds.save();
+});
+
+// Push thresholds still `pending` (full set), unless an apply or
+// heartbeat synced them in the meantime
+const retrySync = (io, site) => serialized(site._id, async () => {
+  const thresholds = await Threshold.getCurrent(site._id);
+  if (thresholds.sync.status !== 'pending') return true;
+  return pushThresholds(io, site, thresholds);
+});
+
+// Revision 0 records the values in place before history began
+const ensureBaseline = async (site, thresholds) => {
+  const latest = await ThresholdRevision.findOne({ site: site._id }).sort({ version: -1 });
+  if (latest) return latest;
+
+  return ThresholdRevision.create({
+    site: site._id,
+    version: 0,
+    values: snapshot(thresholds),
+    source: 'baseline',
+    profile: thresholds.activeProfile,
+    user: thresholds.lastUpdatedBy,
+    sync: { status: 'skipped' },
+  });
+};
+
+// Apply threshold values to a greenhouse.
+//   updates: { field: value } (unknown fields are errors)
+//   options: { user, ip, io, source: 'user'|'rollback'|'profile'|'schedule',
+//              restoredVersion, profile (id of the crop profile the values
+//              come from; none clears the active profile), details,
+//              enforceLimits (hold changes to the safety limits) }
+// Returns { errors } ({ field: message }) for invalid values, otherwise
+// { thresholds, revision, changes } — revision is null when nothing
+// actually changed. Applies to the same greenhouse run one at a time.
+const applyNow = async (site, updates, {
+  user, ip, io, source = 'user', restoredVersion, profile = null, details = {}, enforceLimits = true,
+} = {}) => {
+  const thresholds = await Threshold.getCurrent(site._id);
+
+  const errors = validateThresholds(
+    snapshot(thresholds),
+    updates,
+    enforceLimits ? await getSafetyLimits() : null
+  );
+  if (Object.keys(errors).length > 0) {
+    return { errors };
+  }
+
+  const latest = await ensureBaseline(site, thresholds);
+
+  const requested = {};
+  for (const field of THRESHOLD_FIELDS) {
+    if (updates[field] !== undefined) {
+      requested[field] = updates[field];
+    }
+  }
+
+  const before = snapshot(thresholds);
+  thresholds.set(requested);
+  const changes = diffValues(before, snapshot(thresholds));
+
+  if (changes.length === 0) {
+    // Applying a profile the values already match only marks it active
+    if (source === 'profile' && String(thresholds.activeProfile) !== String(profile)) {
+      thresholds.activeProfile = profile;
+      await thresholds.save();
+    }
+    return { thresholds, revision: null, changes };
+  }
+
+  thresholds.activeProfile = profile || undefined;
+  thresholds.lastUpdatedBy = user ? user._id : undefined;
+  thresholds.updatedAt = new Date();
+
+  // The revision comes first: if its number is taken (another backend
+  // instance applied at the same time) nothing has been saved yet
+  let revision;
+  for (let attempt = 1; !revision; attempt++) {
+    const previous = attempt === 1
+      ? latest
+      : await ThresholdRevision.findOne({ site: site._id }).sort({ version: -1 });
+    try {
+      revision = await ThresholdRevision.create({
+        site: site._id,
+        version: previous.version + 1,
+        values: snapshot(thresholds),
+        changes,
+        source,
+        restoredVersion,
+        profile: profile || undefined,
+        user: user ? user._id : undefined,
+        username: user ? user.username : undefined,
+      });
+    } catch (error) {
+      if (error.code !== 11000 || attempt >= 3) throw error;
+    }
+  }
+
+  try {
+    await thresholds.save();
+  } catch (error) {
+    await revision.deleteOne();
+    throw error;
+  }
+
+  // Send the changed fields to Pi/Arduino via the greenhouse's Pi local API
+  // (signed). Don't fail the change if the Pi is unreachable — it is queued.
+  const changed = Object.fromEntries(changes.map(c => [c.field, c.to]));
+  const synced = await pushThresholds(io, site, thresholds, changed);
+  revision.sync = synced
+    ? { status: 'synced', at: new Date() }
+    : { status: 'pending', at: new Date(), error: thresholds.sync.lastError };
+  await revision.save();
+
+  // Log activity (changes without a user were made by the backend)
+  await ActivityLog.create({
+    user: user ? user._id : undefined,
+    username: user ? user.username : 'system',
+    action: ACTIONS[source],
+    details: { site: site.slug, version: revision.version, restoredVersion, ...details, changed },
+    ipAddress: ip,
+  });
+
+  // Broadcast to dashboards watching this greenhouse
+  emitToSite(io, site._id, 'threshold_update', {
+    ...changed,
+    version: revision.version,
+    activeProfile: thresholds.activeProfile || null,
+    updatedBy: user ? user.username : 'system',
+  });
+
+  return { thresholds, revision, changes };
+};
+
+const applyThresholds = (site, updates, options) =>
+  serialized(site._id, () => applyNow(site, updates, options));
+
+module.exports = {
+  snapshot,
+  diffValues,
+  getSafetyLimits,
+  saveSafetyLimits,
+  retrySync,
+  checkPiThresholds,
+  applyThresholds,
+};
@@ -0,0 +1,315 @@
+const Reading = require('../models/Reading');
+const { DUTY_ACTUATORS } = require('../models/Rollup');
+const { Event, UsageRate } = require('../models');
+const { localClock } = require('../utils/clock');
+
+// ===================================================================
+// USAGE — Actuator runtime, water and energy from readings and events
+// ===================================================================
+// Readings snapshot every actuator; `<actuator>_on` / `<actuator>_off`
+// events mark switches between them. Replayed in time order they give
+// each actuator's on-intervals. A state is trusted for at most
+// MAX_SAMPLE_GAP_MS after the sample that reported it, so time the Pi was
+// offline is not counted. Runtime is added to the local day (or week) of
+// the greenhouse in which each stretch between samples began.
+
+const MAX_SAMPLE_GAP_MS = 5 * 60 * 1000;
+const QUARTER_HOUR = 15 * 60 * 1000;
+
+const PUMPS = ['pump_water', 'pump_nutrient'];
+
+// Estimates used until an admin sets a greenhouse's own
+const DEFAULT_RATES = {
+  flowRates: { pump_water: 2, pump_nutrient: 0.5 },
+  powerWatts: {
+    pump_water: 12,
+    pump_nutrient: 6,
+    fan_exhaust: 15,
+    peltier: 60,
+    fan_peltier_hot: 3,
+    fan_peltier_cold: 3,
+  },
+};
+
+// Rates of a greenhouse, stored values over the defaults
+const getUsageRates = async (site) => {
+  const stored = await UsageRate.findOne({ site: site._id }).lean();
+  const rates = {
+    flowRates: { ...DEFAULT_RATES.flowRates },
+    powerWatts: { ...DEFAULT_RATES.powerWatts },
+  };
+  for (const group of ['flowRates', 'powerWatts']) {
+    for (const [actuator, value] of Object.entries((stored && stored[group]) || {})) {
+      if (typeof value === 'number') rates[group][actuator] = value;
+    }
+  }
+  return rates;
+};
+
+// Check a { flowRates, powerWatts } update. Returns an error message or null.
+const validateUsageRates = (updates) => {
+  if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+    return 'Body must be { flowRates, powerWatts }';
+  }
+  for (const [group, allowed] of [['flowRates', PUMPS], ['powerWatts', DUTY_ACTUATORS]]) {
+    const values = updates[group];
+    if (values === undefined) continue;
+    if (!values || typeof values !== 'object' || Array.isArray(values)) {
+      return `${group} must map actuators to numbers`;
+    }
+    for (const [actuator, value] of Object.entries(values)) {
+      if (!allowed.includes(actuator)) {
+        return `${group}: unknown actuator ${actuator}. Valid: ${allowed.join(', ')}`;
+      }
+      if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+        return `${group}.${actuator} must be a number of at least 0`;
+      }
+    }
+  }
+  return null;
+};
+
+// Save rate changes (checked with validateUsageRates)
+const saveUsageRates = async (site, updates, userId) => {
+  const set = { updatedBy: userId };
+  for (const group of ['flowRates', 'powerWatts']) {
+    for (const [actuator, value] of Object.entries(updates[group] || {})) {
+      set[`${group}.${actuator}`] = value;
+    }
+  }
+  await UsageRate.findOneAndUpdate(
+    { site: site._id },
+    { $set: set },
+    { upsert: true, setDefaultsOnInsert: true }
+  );
+  return getUsageRates(site);
+};
+
+// Actuator states a reading reports: { actuator: { on, pwm } }
+const readingStates = (reading) => {
+  const actuators = reading.actuators || {};
+  const states = {};
+  for (const actuator of DUTY_ACTUATORS) {
+    if (actuator === 'peltier') {
+      if (typeof actuators.peltier_pwm === 'number') {
+        states.peltier = { on: actuators.peltier_pwm > 0, pwm: actuators.peltier_pwm };
+      }
+    } else if (typeof actuators[actuator] === 'boolean') {
+      states[actuator] = { on: actuators[actuator] };
+    }
+  }
+  return states;
+};
+
+// Actuator switch an event reports (null for other events)
+const eventState = (event) => {
+  const match = /^(.+)_(on|off)$/.exec(event.event || '');
+  if (!match || !DUTY_ACTUATORS.includes(match[1])) return null;
+  return { actuator: match[1], on: match[2] === 'on' };
+};
+
+// Local period a moment falls in: 'YYYY-MM-DD', or the Monday starting
+// its week. Cached per quarter hour (every UTC offset is a multiple).
+const periodOf = (timeZone, group) => {
+  const cache = new Map();
+  return (time) => {
+    const slot = Math.floor(time / QUARTER_HOUR);
+    if (!cache.has(slot)) {
+      let { date } = localClock(new Date(time), timeZone);
+      if (group === 'week') {
+        const [y, m, d] = date.split('-').map(Number);
+        const day = new Date(Date.UTC(y, m - 1, d));
+        day.setUTCDate(d - ((day.getUTCDay() + 6) % 7));
+        date = day.toISOString().slice(0, 10);
+      }
+      cache.set(slot, date);
+    }
+    return cache.get(slot);
+  };
+};
+
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+const emptyUsage = () => Object.fromEntries(DUTY_ACTUATORS.map(actuator => [actuator, {
+  runtimeSeconds: 0,
+  cycles: 0,
+  kwh: 0,
+  ...(PUMPS.includes(actuator) ? { litres: 0 } : {}),
+}]));
+
+// Runtime, switch-ons, litres and kWh per actuator and period between
+// `start` and `end`, plus each on-interval when `intervals` is set.
+const usageReport = async (site, { start, end, group = 'day', intervals = false }) => {
+  const timeZone = site.timezone || 'UTC';
+  const rates = await getUsageRates(site);
+  const periodKey = periodOf(timeZone, group);
+  const until = Math.min(end.getTime(), Date.now());
+
+  const periods = new Map();
+  const usageOf = (time) => {
+    const key = periodKey(time);
+    if (!periods.has(key)) {
+      periods.set(key, { period: key, sampledSeconds: 0, actuators: emptyUsage() });
+    }
+    return periods.get(key);
+  };
+
+  const states = {};
+  const runs = [];
+  const openRuns = {};
+  let lastTime = null;
+
+  const endRun = (actuator, time) => {
+    if (openRuns[actuator] && intervals) {
+      runs.push({
+        actuator,
+        start: new Date(openRuns[actuator]),
+        end: new Date(time),
+        seconds: round((time - openRuns[actuator]) / 1000, 1),
+      });
+    }
+    delete openRuns[actuator];
+  };
+
+  // Credit the stretch since the previous sample to the states it left
+  const advance = (time) => {
+    if (lastTime === null) return;
+    const to = Math.min(time, lastTime + MAX_SAMPLE_GAP_MS, until);
+    if (to > lastTime) {
+      const seconds = (to - lastTime) / 1000;
+      const usage = usageOf(lastTime);
+      usage.sampledSeconds += seconds;
+
+      for (const [actuator, state] of Object.entries(states)) {
+        if (!state.on) continue;
+        const entry = usage.actuators[actuator];
+        const duty = actuator === 'peltier' ? (state.pwm || 255) / 255 : 1;
+        entry.runtimeSeconds += seconds;
+        entry.kwh += (rates.powerWatts[actuator] * duty * seconds) / 3600 / 1000;
+        if (entry.litres !== undefined) {
+          entry.litres += (rates.flowRates[actuator] * seconds) / 60;
+        }
+      }
+    }
+    // A gap ends every run: nothing is known until the next sample
+    if (time - lastTime > MAX_SAMPLE_GAP_MS) {
+      for (const actuator of Object.keys(openRuns)) endRun(actuator, lastTime + MAX_SAMPLE_GAP_MS);
+      for (const actuator of Object.keys(states)) delete states[actuator];
+    }
+  };
+
+  const apply = (time, changes) => {
+    advance(time);
+    for (const [actuator, change] of Object.entries(changes)) {
+      const was = states[actuator] || { on: false };
+      const pwm = change.pwm !== undefined ? change.pwm : was.pwm;
+      states[actuator] = { on: change.on, pwm };
+
+      if (change.on && !openRuns[actuator]) {
+        openRuns[actuator] = time;
+        if (time >= start.getTime() && time < until) {
+          usageOf(time).actuators[actuator].cycles += 1;
+        }
+      } else if (!change.on && openRuns[actuator]) {
+        endRun(actuator, time);
+      }
+    }
+    lastTime = time;
+  };
+
+  const range = { $gte: start, $lte: end };
+  const [seed, events] = await Promise.all([
+    // Last sample before the range, so runs already going are counted
+    Reading.findOne({
+      site: site._id,
+      received_at: { $lt: start, $gte: new Date(start.getTime() - MAX_SAMPLE_GAP_MS) },
+    }).sort({ received_at: -1 }).select('actuators received_at').lean(),
+    Event.find({ site: site._id, received_at: range, event: /_(on|off)$/ })
+      .sort({ received_at: 1 })
+      .select('event received_at')
+      .lean(),
+  ]);
+
+  if (seed) {
+    Object.assign(states, readingStates(seed));
+    for (const [actuator, state] of Object.entries(states)) {
+      if (state.on) openRuns[actuator] = start.getTime();
+    }
+    lastTime = start.getTime();
+  }
+
+  let nextEvent = 0;
+  const applyEventsUntil = (time) => {
+    for (; nextEvent < events.length && events[nextEvent].received_at.getTime() <= time; nextEvent++) {
+      const change = eventState(events[nextEvent]);
+      if (change) apply(events[nextEvent].received_at.getTime(), { [change.actuator]: { on: change.on } });
+    }
+  };
+
+  const cursor = Reading.find({ site: site._id, received_at: range })
+    .sort({ received_at: 1 })
+    .select('actuators received_at')
+    .lean()
+    .cursor();
+  try {
+    for await (const reading of cursor) {
+      const time = reading.received_at.getTime();
+      applyEventsUntil(time);
+      apply(time, readingStates(reading));
+    }
+  } finally {
+    await cursor.close();
+  }
+  applyEventsUntil(until);
+
+  advance(until);
+  const closeAt = lastTime === null ? until : Math.min(until, lastTime + MAX_SAMPLE_GAP_MS);
+  for (const actuator of Object.keys(openRuns)) endRun(actuator, closeAt);
+
+  const totals = { sampledSeconds: 0, actuators: emptyUsage() };
+  const rows = [...periods.values()].sort((a, b) => a.period.localeCompare(b.period)).map(usage => {
+    totals.sampledSeconds += usage.sampledSeconds;
+    for (const [actuator, entry] of Object.entries(usage.actuators)) {
+      for (const [key, value] of Object.entries(entry)) {
+        totals.actuators[actuator][key] += value;
+      }
+    }
+    return usage;
+  });
+
+  const shape = (usage) => {
+    const actuators = Object.fromEntries(Object.entries(usage.actuators).map(([actuator, entry]) => [actuator, {
+      runtimeSeconds: Math.round(entry.runtimeSeconds),
+      cycles: entry.cycles,
+      kwh: round(entry.kwh, 4),
+      ...(entry.litres !== undefined ? { litres: round(entry.litres, 2) } : {}),
+    }]));
+    return {
+      ...(usage.period ? { period: usage.period } : {}),
+      sampledSeconds: Math.round(usage.sampledSeconds),
+      waterLitres: actuators.pump_water.litres,
+      nutrientLitres: actuators.pump_nutrient.litres,
+      kwh: round(Object.values(usage.actuators).reduce((sum, entry) => sum + entry.kwh, 0), 4),
+      actuators,
+    };
+  };
+
+  return {
+    group,
+    timezone: timeZone,
+    start,
+    end,
+    rates,
+    periods: rows.map(shape),
+    totals: shape(totals),
+    ...(intervals ? { intervals: runs } : {}),
+  };
+};
+
+module.exports = {
+  DEFAULT_RATES,
+  getUsageRates,
+  validateUsageRates,
+  saveUsageRates,
+  usageReport,
+};
@@ -0,0 +1,40 @@
+// ===================================================================
+// CLOCK — Local date and time of a greenhouse
+// ===================================================================
+
+// Local date (YYYY-MM-DD) and time (HH:MM) of a moment in a timezone
+const localClock = (date, timeZone) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return { date: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+};
+
+const MINUTE = 60 * 1000;
+
+// Offset (ms) of a timezone from UTC at a moment
+const offsetAt = (moment, timeZone) => {
+  const clock = localClock(moment, timeZone);
+  const [year, month, day] = clock.date.split('-').map(Number);
+  const [hour, minute] = clock.time.split(':').map(Number);
+  return Date.UTC(year, month - 1, day, hour, minute) - Math.floor(moment.getTime() / MINUTE) * MINUTE;
+};
+
+// Moment a local date (YYYY-MM-DD, plus `plusDays`) starts in a timezone.
+// The offset is taken again at the first guess so days next to a DST
+// switch start at the right hour.
+const localDayStart = (date, timeZone, plusDays = 0) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const midnight = Date.UTC(year, month - 1, day + plusDays);
+  const guess = new Date(midnight - offsetAt(new Date(midnight), timeZone));
+  return new Date(midnight - offsetAt(guess, timeZone));
+};
+
+module.exports = { localClock, localDayStart };
@@ -0,0 +1,353 @@
+const { once } = require('events');
+const { PassThrough } = require('stream');
+const ExcelJS = require('exceljs');
+const { getField } = require('./readingValidation');
+const { addLineCharts } = require('./xlsxCharts');
+
+// ===================================================================
+// EXPORT — Reading columns and CSV / NDJSON / XLSX writers, usage reports
+// ===================================================================
+
+const EXPORT_FORMATS = ['xlsx', 'csv', 'ndjson'];
+
+// Exportable columns: key -> header, reading path, xlsx width.
+// `onOff` booleans show as ON/OFF in workbooks.
+const EXPORT_COLUMNS = {
+  received_at: { header: 'Timestamp', path: 'received_at', width: 20 },
+  recorded_at: { header: 'Recorded At (Pi)', path: 'recorded_at', width: 20 },
+  reading_id: { header: 'Reading ID', path: 'reading_id', width: 24 },
+  temp: { header: 'Temperature (°C)', path: 'temp', width: 18 },
+  hum: { header: 'Humidity (%)', path: 'hum', width: 15 },
+  soil1: { header: 'Soil 1 (%)', path: 'soil1', width: 12 },
+  soil2: { header: 'Soil 2 (%)', path: 'soil2', width: 12 },
+  dht11_ok: { header: 'DHT11 OK', path: 'dht11.ok', width: 10 },
+  dht11_temp: { header: 'DHT11 Temp (°C)', path: 'dht11.temp', width: 16 },
+  dht11_hum: { header: 'DHT11 Humidity (%)', path: 'dht11.hum', width: 18 },
+  dht22_ok: { header: 'DHT22 OK', path: 'dht22.ok', width: 10 },
+  dht22_temp: { header: 'DHT22 Temp (°C)', path: 'dht22.temp', width: 16 },
+  dht22_hum: { header: 'DHT22 Humidity (%)', path: 'dht22.hum', width: 18 },
+  npk_ok: { header: 'NPK OK', path: 'npk.ok', width: 10 },
+  npk_n: { header: 'Nitrogen (mg/kg)', path: 'npk.n', width: 18 },
+  npk_p: { header: 'Phosphorus (mg/kg)', path: 'npk.p', width: 18 },
+  npk_k: { header: 'Potassium (mg/kg)', path: 'npk.k', width: 18 },
+  pump_water: { header: 'Water Pump', path: 'actuators.pump_water', width: 12, onOff: true },
+  pump_nutrient: { header: 'Nutrient Pump', path: 'actuators.pump_nutrient', width: 15, onOff: true },
+  fan_exhaust: { header: 'Exhaust Fan', path: 'actuators.fan_exhaust', width: 12, onOff: true },
+  peltier_pwm: { header: 'Peltier PWM', path: 'actuators.peltier_pwm', width: 12 },
+  peltier_target: { header: 'Peltier Target', path: 'actuators.peltier_target', width: 14 },
+  peltier_ramping: { header: 'Peltier Ramping', path: 'actuators.peltier_ramping', width: 15 },
+  fan_peltier_hot: { header: 'Peltier Hot Fan', path: 'actuators.fan_peltier_hot', width: 15, onOff: true },
+  fan_peltier_cold: { header: 'Peltier Cold Fan', path: 'actuators.fan_peltier_cold', width: 16, onOff: true },
+  manual_override: { header: 'Manual Override', path: 'actuators.manual_override', width: 15 },
+  quality: { header: 'Quality Flags', path: 'quality', width: 24 },
+  quality_details: { header: 'Quality Details', path: 'quality_details', width: 40 },
+};
+
+// Columns of the original single-day Excel export
+const DEFAULT_EXPORT_COLUMNS = [
+  'received_at', 'temp', 'hum', 'soil1', 'soil2', 'npk_n', 'npk_p', 'npk_k',
+  'pump_water', 'pump_nutrient', 'fan_exhaust', 'peltier_pwm', 'quality',
+];
+
+// Parse `?columns=a,b,c` (or `all`). Returns { columns } or { error }.
+const parseColumns = (value) => {
+  if (value === undefined || value === '') {
+    return { columns: DEFAULT_EXPORT_COLUMNS };
+  }
+  if (value === 'all') {
+    return { columns: Object.keys(EXPORT_COLUMNS) };
+  }
+
+  const columns = String(value).split(',').map(c => c.trim()).filter(Boolean);
+  const unknown = columns.filter(c => !EXPORT_COLUMNS[c]);
+  if (columns.length === 0 || unknown.length > 0) {
+    return { error: `Unknown columns: ${unknown.join(', ') || '(none given)'}. Valid: all, ${Object.keys(EXPORT_COLUMNS).join(', ')}` };
+  }
+  return { columns };
+};
+
+const valueOf = (reading, key) => {
+  const value = getField(reading, EXPORT_COLUMNS[key].path);
+  return value === undefined ? null : value;
+};
+
+// ---------- CSV / NDJSON ----------
+
+const csvCell = (value) => {
+  if (value === null) return '';
+  let text;
+  if (value instanceof Date) text = value.toISOString();
+  else if (Array.isArray(value)) text = value.join(';');
+  else text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvHeader = (columns) => `${columns.join(',')}\r\n`;
+
+const csvRow = (reading, columns) => `${columns.map(key => csvCell(valueOf(reading, key))).join(',')}\r\n`;
+
+const ndjsonRow = (reading, columns) =>
+  `${JSON.stringify(Object.fromEntries(columns.map(key => [key, valueOf(reading, key)])))}\n`;
+
+// Write an async iterable of readings to `out` as CSV or NDJSON, pausing
+// whenever the client falls behind. Stops early if the client goes away.
+const streamReadings = async (out, readings, columns, format) => {
+  if (format === 'csv') {
+    out.write(csvHeader(columns));
+  }
+  for await (const reading of readings) {
+    if (out.destroyed) break;
+    const line = format === 'csv' ? csvRow(reading, columns) : ndjsonRow(reading, columns);
+    if (!out.write(line)) {
+      // Abort the listener that lost, or every pause leaves one behind
+      const controller = new AbortController();
+      try {
+        await Promise.race([
+          once(out, 'drain', { signal: controller.signal }),
+          once(out, 'close', { signal: controller.signal }),
+        ]);
+      } finally {
+        controller.abort();
+      }
+    }
+  }
+};
+
+// ---------- XLSX ----------
+
+const HEADER_FILL = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FF4CAF50' } };
+
+const styleHeader = (row) => {
+  row.font = { bold: true };
+  row.fill = HEADER_FILL;
+};
+
+const xlsxValue = (reading, key) => {
+  const value = valueOf(reading, key);
+  if (key === 'quality') return value && value.length ? value.join(', ') : 'OK';
+  if (Array.isArray(value)) return value.join('; ');
+  if (EXPORT_COLUMNS[key].onOff) return value ? 'ON' : 'OFF';
+  return value;
+};
+
+// Series drawn on the summary sheet (period table columns)
+const SUMMARY_CHARTS = [
+  {
+    title: 'Temperature & Humidity',
+    series: [
+      { name: 'Temperature (°C)', metric: 'temp', color: 'E53935' },
+      { name: 'Humidity (%)', metric: 'hum', color: '1E88E5' },
+    ],
+  },
+  {
+    title: 'Soil Moisture',
+    series: [
+      { name: 'Soil 1 (%)', metric: 'soil1', color: '8D6E63' },
+      { name: 'Soil 2 (%)', metric: 'soil2', color: '43A047' },
+    ],
+  },
+];
+
+const PERIOD_METRICS = ['temp', 'hum', 'soil1', 'soil2'];
+
+const round = (value) => (typeof value === 'number' ? Math.round(value * 100) / 100 : null);
+
+// Stream an XLSX workbook with Summary, Data and Events sheets to `out`
+// (e.g. the response) through ExcelJS's streaming writer, so its size is
+// not limited by memory.
+//   meta:    { title, range, timezone, periodLabel }
+//   summary: { readings, overall: { metric: { min, max, avg, count } },
+//              periods: [{ period, count, temp, hum, soil1, soil2 }] }
+//   readings/events: async iterables
+// Returns the summary rows the line charts would cover.
+const streamWorkbook = async (out, { meta, summary, readings, columns, events }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true });
+  workbook.creator = 'Smart Greenhouse';
+  workbook.created = new Date();
+
+  // Summary
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [
+    { width: 22 }, { width: 18 }, { width: 15 }, { width: 12 }, { width: 12 }, { width: 12 },
+  ];
+  const title = summarySheet.addRow([meta.title]);
+  title.font = { bold: true, size: 14 };
+  summarySheet.addRow(['Range', meta.range]);
+  summarySheet.addRow(['Timezone', meta.timezone]);
+  summarySheet.addRow(['Readings', summary.readings]);
+  summarySheet.addRow(['Generated', new Date()]);
+  summarySheet.addRow([]);
+
+  styleHeader(summarySheet.addRow(['Metric', 'Min', 'Max', 'Average', 'Samples']));
+  for (const [metric, stats] of Object.entries(summary.overall)) {
+    summarySheet.addRow([metric, round(stats.min), round(stats.max), round(stats.avg), stats.count]);
+  }
+  summarySheet.addRow([]);
+
+  styleHeader(summarySheet.addRow([meta.periodLabel, 'Avg Temp (°C)', 'Avg Hum (%)', 'Avg Soil 1', 'Avg Soil 2', 'Readings']));
+  const firstPeriodRow = summarySheet.lastRow.number + 1;
+  for (const period of summary.periods) {
+    summarySheet.addRow([period.period, ...PERIOD_METRICS.map(m => round(period[m])), period.count]);
+  }
+  const lastPeriodRow = summarySheet.lastRow.number;
+  summarySheet.commit();
+
+  // Data
+  const dataSheet = workbook.addWorksheet('Data');
+  dataSheet.columns = columns.map(key => ({
+    header: EXPORT_COLUMNS[key].header,
+    key,
+    width: EXPORT_COLUMNS[key].width,
+    style: ['received_at', 'recorded_at'].includes(key) ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : undefined,
+  }));
+  styleHeader(dataSheet.getRow(1));
+  dataSheet.getRow(1).commit();
+  for await (const reading of readings) {
+    dataSheet.addRow(Object.fromEntries(columns.map(key => [key, xlsxValue(reading, key)]))).commit();
+  }
+  dataSheet.commit();
+
+  // Events
+  const eventSheet = workbook.addWorksheet('Events');
+  eventSheet.columns = [
+    { header: 'Timestamp', key: 'received_at', width: 20, style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } },
+    { header: 'Event', key: 'event', width: 24 },
+    { header: 'Reason', key: 'reason', width: 40 },
+  ];
+  styleHeader(eventSheet.getRow(1));
+  eventSheet.getRow(1).commit();
+  for await (const event of events) {
+    eventSheet.addRow({ received_at: event.received_at, event: event.event, reason: event.reason || '' }).commit();
+  }
+  eventSheet.commit();
+
+  await workbook.commit();
+  return { firstPeriodRow, lastPeriodRow };
+};
+
+// Build a workbook in memory with line charts on the Summary sheet.
+// Charts are added by rewriting the finished file, so only use this for
+// exports small enough to hold in memory (XLSX_CHART_MAX_ROWS).
+const buildWorkbook = async (options) => {
+  const out = new PassThrough();
+  const chunks = [];
+  out.on('data', chunk => chunks.push(chunk));
+  const finished = once(out, 'end');
+
+  const { firstPeriodRow, lastPeriodRow } = await streamWorkbook(out, options);
+  await finished;
+  const buffer = Buffer.concat(chunks);
+
+  if (options.summary.periods.length < 2) {
+    return buffer; // Nothing worth a line chart
+  }
+
+  return addLineCharts(buffer, SUMMARY_CHARTS.map((chart, i) => ({
+    sheet: 'Summary',
+    title: chart.title,
+    categoryColumn: 'A',
+    fromRow: firstPeriodRow,
+    toRow: lastPeriodRow,
+    series: chart.series.map(s => ({
+      name: s.name,
+      column: String.fromCharCode(66 + PERIOD_METRICS.indexOf(s.metric)), // B..E
+      color: s.color,
+    })),
+    anchor: { col: 7, row: i * 18, width: 10, height: 16 },
+  })));
+};
+
+// ---------- USAGE ----------
+
+const USAGE_EXPORT_FORMATS = ['csv', 'xlsx'];
+
+const USAGE_COLUMNS = [
+  { header: 'Period', key: 'period', width: 14 },
+  { header: 'Actuator', key: 'actuator', width: 18 },
+  { header: 'Runtime (s)', key: 'runtime_seconds', width: 13 },
+  { header: 'Runtime (h)', key: 'runtime_hours', width: 13 },
+  { header: 'Switch-ons', key: 'cycles', width: 12 },
+  { header: 'Litres', key: 'litres', width: 10 },
+  { header: 'kWh', key: 'kwh', width: 10 },
+];
+
+// One row per period and actuator of a usage report
+const usageRows = (report) => report.periods.flatMap(period => Object.entries(period.actuators)
+  .map(([actuator, usage]) => ({
+    period: period.period,
+    actuator,
+    runtime_seconds: usage.runtimeSeconds,
+    runtime_hours: round(usage.runtimeSeconds / 3600),
+    cycles: usage.cycles,
+    litres: usage.litres === undefined ? null : usage.litres,
+    kwh: usage.kwh,
+  })));
+
+const usageCsv = (report) => csvHeader(USAGE_COLUMNS.map(c => c.key)) + usageRows(report)
+  .map(row => `${USAGE_COLUMNS.map(c => csvCell(row[c.key])).join(',')}\r\n`)
+  .join('');
+
+// Usage workbook: Summary (rates and totals), Usage (per period and
+// actuator) and, when the report has them, Intervals
+//   meta: { title, range, timezone }
+const buildUsageWorkbook = ({ meta, report }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Smart Greenhouse';
+  workbook.created = new Date();
+
+  const summarySheet = workbook.addWorksheet('Summary');
+  summarySheet.columns = [{ width: 22 }, { width: 14 }, { width: 12 }, { width: 12 }, { width: 12 }, { width: 12 }];
+  const title = summarySheet.addRow([meta.title]);
+  title.font = { bold: true, size: 14 };
+  summarySheet.addRow(['Range', meta.range]);
+  summarySheet.addRow(['Timezone', meta.timezone]);
+  summarySheet.addRow(['Water (L)', report.totals.waterLitres]);
+  summarySheet.addRow(['Nutrient (L)', report.totals.nutrientLitres]);
+  summarySheet.addRow(['Energy (kWh)', report.totals.kwh]);
+  summarySheet.addRow(['Generated', new Date()]);
+  summarySheet.addRow([]);
+
+  styleHeader(summarySheet.addRow(['Actuator', 'Runtime (h)', 'Switch-ons', 'Litres', 'kWh', 'Rating (W)']));
+  for (const [actuator, usage] of Object.entries(report.totals.actuators)) {
+    summarySheet.addRow([
+      actuator,
+      round(usage.runtimeSeconds / 3600),
+      usage.cycles,
+      usage.litres === undefined ? null : usage.litres,
+      usage.kwh,
+      report.rates.powerWatts[actuator],
+    ]);
+  }
+
+  const usageSheet = workbook.addWorksheet('Usage');
+  usageSheet.columns = USAGE_COLUMNS;
+  styleHeader(usageSheet.getRow(1));
+  usageSheet.addRows(usageRows(report));
+
+  if (report.intervals) {
+    const intervalSheet = workbook.addWorksheet('Intervals');
+    intervalSheet.columns = [
+      { header: 'Actuator', key: 'actuator', width: 18 },
+      { header: 'On', key: 'start', width: 20, style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } },
+      { header: 'Off', key: 'end', width: 20, style: { numFmt: 'yyyy-mm-dd hh:mm:ss' } },
+      { header: 'Seconds', key: 'seconds', width: 10 },
+    ];
+    styleHeader(intervalSheet.getRow(1));
+    intervalSheet.addRows(report.intervals);
+  }
+
+  return workbook.xlsx.writeBuffer();
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  parseColumns,
+  streamReadings,
+  streamWorkbook,
+  buildWorkbook,
+  USAGE_EXPORT_FORMATS,
+  usageCsv,
+  buildUsageWorkbook,
+};
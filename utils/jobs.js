@@ -0,0 +1,42 @@
+// ===================================================================
+// BACKGROUND JOBS — interval runner shared by services/*
+// ===================================================================
+
+// Create a job that runs `fn(context)` every `intervalMs`, where context
+// is what start() was given (e.g. { io }). A run never overlaps the
+// previous one and errors are logged instead of crashing the server.
+const createJob = (name, intervalMs, fn) => {
+  let timer = null;
+  let running = false;
+  let context = {};
+
+  const run = async () => {
+    if (running) return;
+    running = true;
+    try {
+      await fn(context);
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  return {
+    name,
+    run,
+    start(startContext = {}) {
+      if (timer) return;
+      context = startContext;
+      timer = setInterval(run, intervalMs);
+      timer.unref();
+      run();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    },
+  };
+};
+
+module.exports = { createJob };
@@ -0,0 +1,49 @@
+// ===================================================================
+// METRICS — Named sensor values shared by rollups, stats and rules
+// ===================================================================
+
+// Numeric sensor metrics of a reading
+const METRICS = ['temp', 'hum', 'soil1', 'soil2', 'npk_n', 'npk_p', 'npk_k'];
+
+// Threshold fields each metric is judged against. Metrics with only a
+// `low` target (soil moisture, NPK) are "below" or "above" it.
+const METRIC_BANDS = {
+  temp: { low: 'temp_low', high: 'temp_high' },
+  hum: { low: 'hum_low', high: 'hum_high' },
+  soil1: { low: 'soil1' },
+  soil2: { low: 'soil2' },
+  npk_n: { low: 'npk_n' },
+  npk_p: { low: 'npk_p' },
+  npk_k: { low: 'npk_k' },
+};
+
+// Threshold document fields holding numeric limits
+const THRESHOLD_FIELDS = [...new Set(Object.values(METRIC_BANDS).flatMap(b => [b.low, b.high]).filter(Boolean))];
+
+// Aggregation expression for a metric of a raw reading
+// (NPK values only count when the sensor reported ok)
+const metricExpression = (metric) => {
+  if (metric.startsWith('npk_')) {
+    return { $cond: [{ $eq: ['$npk.ok', true] }, `$npk.${metric.slice(4)}`, null] };
+  }
+  return `$${metric}`;
+};
+
+// Value of a metric in a reading document, or null if unavailable
+const getMetricValue = (reading, metric) => {
+  let value;
+  if (metric.startsWith('npk_')) {
+    value = reading.npk && reading.npk.ok ? reading.npk[metric.slice(4)] : null;
+  } else {
+    value = reading[metric];
+  }
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+};
+
+module.exports = {
+  METRICS,
+  METRIC_BANDS,
+  THRESHOLD_FIELDS,
+  metricExpression,
+  getMetricValue,
+};
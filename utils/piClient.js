@@ -0,0 +1,38 @@
+const axios = require('axios');
+const Device = require('../models/Device');
+const { signatureHeaders } = require('./signing');
+
+// ===================================================================
+// PI CLIENT — signed calls from the backend to a greenhouse's Pi
+// ===================================================================
+
+// POST a JSON payload to the Pi's local API, signed with the secret of
+// the greenhouse's active device. Throws if the greenhouse has no Pi URL
+// or no enrolled device.
+const postToPi = async (site, path, payload = {}) => {
+  const piBaseUrl = site.getPiBaseUrl();
+  if (!piBaseUrl) {
+    throw new Error(`No Pi URL configured for greenhouse ${site.slug}`);
+  }
+
+  const device = await Device.findOne({ site: site._id, status: 'active' })
+    .select('+keyHash')
+    .sort({ lastSeenAt: -1 });
+  if (!device) {
+    throw new Error(`No active device enrolled for greenhouse ${site.slug}`);
+  }
+
+  // Sign the exact bytes that are sent
+  const body = JSON.stringify(payload);
+
+  return axios.post(`${piBaseUrl}${path}`, body, {
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Device-Id': device._id.toString(),
+      ...signatureHeaders(device.signingSecret(), body),
+    },
+    timeout: 5000,
+  });
+};
+
+module.exports = { postToPi };
@@ -0,0 +1,143 @@
+// ===================================================================
+// READING VALIDATION — structural checks and data-quality flags
+// ===================================================================
+
+// Quality flags a stored reading may carry
+const QUALITY_FLAGS = ['out_of_range', 'sensor_failed', 'dht_disagreement'];
+
+// Physically plausible range per field (sensor datasheets)
+const FIELD_RANGES = {
+  temp: [-40, 80],
+  hum: [0, 100],
+  soil1: [0, 100],
+  soil2: [0, 100],
+  'dht11.temp': [0, 50],
+  'dht11.hum': [5, 95],
+  'dht22.temp': [-40, 80],
+  'dht22.hum': [0, 100],
+  'npk.n': [0, 1999],
+  'npk.p': [0, 1999],
+  'npk.k': [0, 1999],
+  'actuators.peltier_pwm': [0, 255],
+};
+
+// Fields every reading must carry as numbers
+const REQUIRED_FIELDS = ['temp', 'hum', 'soil1', 'soil2'];
+
+// Sub-documents that must be objects when present
+const NESTED_FIELDS = ['dht11', 'dht22', 'npk', 'actuators'];
+
+// Max difference between DHT11 and DHT22 before they are said to disagree
+const DHT_MAX_TEMP_DIFF = 3;
+const DHT_MAX_HUM_DIFF = 10;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Read a dotted path like 'npk.n' from a reading
+const getField = (reading, path) => path.split('.')
+  .reduce((obj, key) => (obj == null ? undefined : obj[key]), reading);
+
+// Check a raw reading from the Pi. Returns { errors } for readings that
+// must be rejected, otherwise { quality, qualityDetails } to store with it.
+const validateReading = (reading) => {
+  if (!reading || typeof reading !== 'object' || Array.isArray(reading)) {
+    return { errors: ['Reading must be an object'] };
+  }
+
+  const errors = [];
+
+  for (const field of REQUIRED_FIELDS) {
+    if (!isNumber(reading[field])) {
+      errors.push(`${field} must be a number`);
+    }
+  }
+
+  for (const field of NESTED_FIELDS) {
+    const value = reading[field];
+    if (value != null && (typeof value !== 'object' || Array.isArray(value))) {
+      errors.push(`${field} must be an object`);
+    }
+  }
+
+  for (const path of Object.keys(FIELD_RANGES)) {
+    if (REQUIRED_FIELDS.includes(path)) continue;
+    const value = getField(reading, path);
+    if (value != null && !isNumber(value)) {
+      errors.push(`${path} must be a number`);
+    }
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const flags = new Set();
+  const qualityDetails = [];
+
+  for (const [path, [min, max]] of Object.entries(FIELD_RANGES)) {
+    const value = getField(reading, path);
+    if (value != null && (value < min || value > max)) {
+      flags.add('out_of_range');
+      qualityDetails.push(`${path}=${value} outside ${min}..${max}`);
+    }
+  }
+
+  for (const sensor of ['dht11', 'dht22', 'npk']) {
+    if (reading[sensor] && reading[sensor].ok === false) {
+      flags.add('sensor_failed');
+      qualityDetails.push(`${sensor} reported ok=false`);
+    }
+  }
+
+  const { dht11, dht22 } = reading;
+  if (dht11 && dht22 && dht11.ok !== false && dht22.ok !== false) {
+    if (isNumber(dht11.temp) && isNumber(dht22.temp) &&
+        Math.abs(dht11.temp - dht22.temp) > DHT_MAX_TEMP_DIFF) {
+      flags.add('dht_disagreement');
+      qualityDetails.push(`dht11/dht22 temp differ by ${Math.abs(dht11.temp - dht22.temp).toFixed(1)}`);
+    }
+    if (isNumber(dht11.hum) && isNumber(dht22.hum) &&
+        Math.abs(dht11.hum - dht22.hum) > DHT_MAX_HUM_DIFF) {
+      flags.add('dht_disagreement');
+      qualityDetails.push(`dht11/dht22 hum differ by ${Math.abs(dht11.hum - dht22.hum).toFixed(1)}`);
+    }
+  }
+
+  return { quality: [...flags], qualityDetails };
+};
+
+// Build a Reading filter from `?quality=all|clean|flagged` and
+// `?exclude_flags=a,b`. Returns { filter } or { error }.
+const buildQualityFilter = (query) => {
+  const { quality = 'all', exclude_flags: excludeFlags } = query;
+  const filter = {};
+
+  if (quality === 'clean') {
+    filter['quality.0'] = { $exists: false };
+  } else if (quality === 'flagged') {
+    filter['quality.0'] = { $exists: true };
+  } else if (quality !== 'all') {
+    return { error: 'quality must be one of: all, clean, flagged' };
+  }
+
+  if (excludeFlags !== undefined) {
+    const flags = String(excludeFlags).split(',').map(f => f.trim()).filter(Boolean);
+    const unknown = flags.filter(f => !QUALITY_FLAGS.includes(f));
+    if (unknown.length > 0) {
+      return { error: `Unknown quality flags: ${unknown.join(', ')}. Valid: ${QUALITY_FLAGS.join(', ')}` };
+    }
+    if (flags.length > 0) {
+      filter.quality = { $nin: flags };
+    }
+  }
+
+  return { filter };
+};
+
+module.exports = {
+  QUALITY_FLAGS,
+  FIELD_RANGES,
+  getField,
+  validateReading,
+  buildQualityFilter,
+};
@@ -0,0 +1,56 @@
+const crypto = require('crypto');
+
+// ===================================================================
+// REQUEST SIGNING — HMAC-SHA256 over timestamp, nonce and raw body
+// ===================================================================
+// Pi traffic is signed with a per-device secret: an HMAC of the key's
+// hash under a server-side pepper. It is handed out once with the key and
+// never stored, so neither the `devices` collection nor the request
+// headers are enough to forge a request.
+
+// Max age (and clock skew) of a signed request. Capped well below the
+// one-hour lifetime of stored nonces so a replay is always detected.
+const SIGNATURE_TOLERANCE_SECONDS = Math.min(
+  parseInt(process.env.SIGNATURE_TOLERANCE_SECONDS, 10) || 300,
+  1800
+);
+
+// Signing secret of a device, from its stored key hash. Falls back to
+// JWT_SECRET when no pepper is set; changing either invalidates every
+// device's secret.
+const deviceSecret = (keyHash) => crypto
+  .createHmac('sha256', process.env.DEVICE_SIGNING_PEPPER || process.env.JWT_SECRET)
+  .update(keyHash)
+  .digest('hex');
+
+// Signature of a payload: hex HMAC of "<timestamp>.<nonce>.<body>"
+const sign = (secret, timestamp, nonce, body) => crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${nonce}.${body || ''}`)
+  .digest('hex');
+
+// Headers for an outgoing signed request with a serialized body
+const signatureHeaders = (secret, body) => {
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const nonce = crypto.randomBytes(16).toString('hex');
+  return {
+    'X-Timestamp': timestamp,
+    'X-Nonce': nonce,
+    'X-Signature': sign(secret, timestamp, nonce, body),
+  };
+};
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expected, actual) => {
+  const a = Buffer.from(String(expected), 'utf8');
+  const b = Buffer.from(String(actual), 'utf8');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+module.exports = {
+  SIGNATURE_TOLERANCE_SECONDS,
+  deviceSecret,
+  sign,
+  signatureHeaders,
+  signaturesMatch,
+};
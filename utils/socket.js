@@ -0,0 +1,14 @@
+// ===================================================================
+// SOCKET.IO HELPERS — per-greenhouse rooms
+// ===================================================================
+
+// Room that dashboards watching a greenhouse are joined to
+const siteRoom = (siteId) => `site:${siteId}`;
+
+// Emit an event only to clients watching the given greenhouse
+const emitToSite = (io, siteId, event, payload) => {
+  if (!io || !siteId) return;
+  io.to(siteRoom(siteId)).emit(event, payload);
+};
+
+module.exports = { siteRoom, emitToSite };
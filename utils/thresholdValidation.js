@@ -0,0 +1,107 @@
+const { METRIC_BANDS, THRESHOLD_FIELDS } = require('./metrics');
+const { FIELD_RANGES } = require('./readingValidation');
+
+// ===================================================================
+// THRESHOLD VALIDATION — types, ranges, low/high order, safety limits
+// ===================================================================
+
+// Low/high threshold pairs that must stay in order
+const THRESHOLD_PAIRS = Object.values(METRIC_BANDS)
+  .filter(band => band.low && band.high)
+  .map(band => [band.low, band.high]);
+
+// Range a threshold can physically take: the range of the sensor that
+// measures it (e.g. temp_high -> temp, npk_n -> npk.n)
+const THRESHOLD_RANGES = Object.fromEntries(Object.entries(METRIC_BANDS)
+  .flatMap(([metric, band]) => [band.low, band.high]
+    .filter(Boolean)
+    .map(field => [field, FIELD_RANGES[metric.replace('npk_', 'npk.')]])));
+
+// Safety limits used until an admin changes them. Users who are not
+// admins cannot set a threshold outside these.
+const DEFAULT_SAFETY_LIMITS = {
+  soil1: { min: 5, max: 95 },
+  soil2: { min: 5, max: 95 },
+  temp_high: { min: 10, max: 45 },
+  temp_low: { min: 0, max: 35 },
+  hum_high: { min: 20, max: 95 },
+  hum_low: { min: 5, max: 90 },
+  npk_n: { min: 0, max: 500 },
+  npk_p: { min: 0, max: 500 },
+  npk_k: { min: 0, max: 500 },
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+// Check threshold updates against the current values. Only fields that
+// change are held to the safety `limits` (pass none to skip them), so a
+// value an admin set outside them does not block unrelated edits.
+// Unknown fields are errors too (a typo would otherwise change nothing).
+// Returns { field: message } — empty when everything is valid.
+const validateThresholds = (current, updates, limits = null) => {
+  const errors = {};
+  const merged = { ...current };
+
+  for (const field of Object.keys(updates)) {
+    if (!THRESHOLD_FIELDS.includes(field)) {
+      errors[field] = `Unknown threshold ${field}. Valid: ${THRESHOLD_FIELDS.join(', ')}`;
+    }
+  }
+
+  for (const field of THRESHOLD_FIELDS) {
+    const value = updates[field];
+    if (value === undefined) continue;
+
+    const [min, max] = THRESHOLD_RANGES[field];
+    if (!isNumber(value)) {
+      errors[field] = `${field} must be a number`;
+    } else if (value < min || value > max) {
+      errors[field] = `${field} must be between ${min} and ${max}`;
+    } else if (limits && value !== current[field] && (value < limits[field].min || value > limits[field].max)) {
+      errors[field] = `${field} is outside the safety limits (${limits[field].min}–${limits[field].max})`;
+    } else {
+      merged[field] = value;
+    }
+  }
+
+  for (const [low, high] of THRESHOLD_PAIRS) {
+    const changed = [low, high].filter(field => updates[field] !== undefined);
+    if (changed.length === 0 || errors[low] || errors[high]) continue;
+    if (merged[low] >= merged[high]) {
+      errors[changed[0]] = `${low} (${merged[low]}) must be below ${high} (${merged[high]})`;
+    }
+  }
+
+  return errors;
+};
+
+// Check a { field: { min, max } } safety-limit update against the
+// physical ranges. Returns { field: message } — empty when valid.
+const validateSafetyLimits = (updates) => {
+  const errors = {};
+
+  for (const [field, limit] of Object.entries(updates)) {
+    if (!THRESHOLD_RANGES[field]) {
+      errors[field] = `Unknown threshold ${field}. Valid: ${THRESHOLD_FIELDS.join(', ')}`;
+      continue;
+    }
+    const [min, max] = THRESHOLD_RANGES[field];
+    if (!limit || !isNumber(limit.min) || !isNumber(limit.max)) {
+      errors[field] = `${field} needs numeric min and max`;
+    } else if (limit.min < min || limit.max > max) {
+      errors[field] = `${field} limits must be within ${min} and ${max}`;
+    } else if (limit.min >= limit.max) {
+      errors[field] = `${field} min must be below max`;
+    }
+  }
+
+  return errors;
+};
+
+module.exports = {
+  THRESHOLD_PAIRS,
+  THRESHOLD_RANGES,
+  DEFAULT_SAFETY_LIMITS,
+  validateThresholds,
+  validateSafetyLimits,
+};
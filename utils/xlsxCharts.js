@@ -0,0 +1,178 @@
+const JSZip = require('jszip');
+
+// ===================================================================
+// XLSX CHARTS — Add native Excel line charts to a finished workbook
+// ===================================================================
+// ExcelJS can't write charts, so the workbook is post-processed: each
+// chart becomes a DrawingML chart part plus a drawing anchored on its
+// sheet. Series reference cell ranges, so the charts stay live in Excel.
+
+const NS_REL = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const CT_DRAWING = 'application/vnd.openxmlformats-officedocument.drawing+xml';
+const CT_CHART = 'application/vnd.openxmlformats-officedocument.drawingml.chart+xml';
+
+const escapeXml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// 'Summary'!$B$5:$B$20
+const rangeRef = (sheet, column, fromRow, toRow) =>
+  `'${sheet.replace(/'/g, "''")}'!$${column}$${fromRow}:$${column}$${toRow}`;
+
+const chartXml = ({ title, sheet, categoryColumn, fromRow, toRow, series }) => {
+  const ser = series.map((s, i) => `
+<c:ser><c:idx val="${i}"/><c:order val="${i}"/><c:tx><c:v>${escapeXml(s.name)}</c:v></c:tx>
+<c:spPr><a:ln w="19050"><a:solidFill><a:srgbClr val="${s.color}"/></a:solidFill></a:ln></c:spPr>
+<c:marker><c:symbol val="none"/></c:marker>
+<c:cat><c:strRef><c:f>${escapeXml(rangeRef(sheet, categoryColumn, fromRow, toRow))}</c:f></c:strRef></c:cat>
+<c:val><c:numRef><c:f>${escapeXml(rangeRef(sheet, s.column, fromRow, toRow))}</c:f></c:numRef></c:val>
+<c:smooth val="0"/></c:ser>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<c:chartSpace xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="${NS_REL}">
+<c:roundedCorners val="0"/>
+<c:chart>
+<c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>${escapeXml(title)}</a:t></a:r></a:p></c:rich></c:tx><c:overlay val="0"/></c:title>
+<c:autoTitleDeleted val="0"/>
+<c:plotArea><c:layout/>
+<c:lineChart><c:grouping val="standard"/><c:varyColors val="0"/>${ser}
+<c:marker val="1"/><c:axId val="100"/><c:axId val="200"/></c:lineChart>
+<c:catAx><c:axId val="100"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="b"/><c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="low"/><c:crossAx val="200"/><c:crosses val="autoZero"/><c:auto val="1"/><c:lblAlgn val="ctr"/><c:lblOffset val="100"/><c:noMultiLvlLbl val="0"/></c:catAx>
+<c:valAx><c:axId val="200"/><c:scaling><c:orientation val="minMax"/></c:scaling><c:delete val="0"/><c:axPos val="l"/><c:majorGridlines/><c:numFmt formatCode="General" sourceLinked="1"/><c:tickLblPos val="nextTo"/><c:crossAx val="100"/><c:crosses val="autoZero"/><c:crossBetween val="between"/></c:valAx>
+</c:plotArea>
+<c:legend><c:legendPos val="b"/><c:overlay val="0"/></c:legend>
+<c:plotVisOnly val="1"/><c:dispBlanksAs val="gap"/>
+</c:chart>
+</c:chartSpace>`;
+};
+
+const anchorXml = ({ anchor }, index, relId) => `
+<xdr:twoCellAnchor>
+<xdr:from><xdr:col>${anchor.col}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${anchor.row}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:from>
+<xdr:to><xdr:col>${anchor.col + anchor.width}</xdr:col><xdr:colOff>0</xdr:colOff><xdr:row>${anchor.row + anchor.height}</xdr:row><xdr:rowOff>0</xdr:rowOff></xdr:to>
+<xdr:graphicFrame macro="">
+<xdr:nvGraphicFramePr><xdr:cNvPr id="${index + 2}" name="Chart ${index + 1}"/><xdr:cNvGraphicFramePr/></xdr:nvGraphicFramePr>
+<xdr:xfrm><a:off x="0" y="0"/><a:ext cx="0" cy="0"/></xdr:xfrm>
+<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/chart"><c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" r:id="${relId}"/></a:graphicData></a:graphic>
+</xdr:graphicFrame>
+<xdr:clientData/>
+</xdr:twoCellAnchor>`;
+
+const relationshipsXml = (rels) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${
+  rels.map(r => `<Relationship Id="${r.id}" Type="${NS_REL}/${r.type}" Target="${r.target}"/>`).join('')
+}</Relationships>`;
+
+// Zip path of a worksheet by its tab name
+const findSheetPath = async (zip, sheetName) => {
+  const workbook = await zip.file('xl/workbook.xml').async('string');
+  const rels = await zip.file('xl/_rels/workbook.xml.rels').async('string');
+
+  const sheet = [...workbook.matchAll(/<sheet\b[^>]*>/g)]
+    .map(([tag]) => tag)
+    .find(tag => tag.includes(`name="${escapeXml(sheetName)}"`));
+  if (!sheet) return null;
+
+  const relId = sheet.match(/r:id="([^"]+)"/)[1];
+  const rel = [...rels.matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([tag]) => tag)
+    .find(tag => tag.includes(`Id="${relId}"`));
+  if (!rel) return null;
+
+  const target = rel.match(/Target="([^"]+)"/)[1];
+  return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+};
+
+// Next free part number for names like xl/charts/chart<N>.xml
+const nextPartNumber = (zip, prefix) => {
+  const pattern = new RegExp(`^${prefix}(\\d+)\\.xml$`);
+  const used = Object.keys(zip.files)
+    .map(name => name.match(pattern))
+    .filter(Boolean)
+    .map(match => Number(match[1]));
+  return used.length > 0 ? Math.max(...used) + 1 : 1;
+};
+
+// Add line charts to an xlsx buffer and return the new buffer.
+// charts: [{ sheet, title, categoryColumn, fromRow, toRow,
+//            series: [{ name, column, color }],
+//            anchor: { col, row, width, height } }]   (0-based cells)
+const addLineCharts = async (buffer, charts) => {
+  const zip = await JSZip.loadAsync(buffer);
+  let contentTypes = await zip.file('[Content_Types].xml').async('string');
+
+  const bySheet = new Map();
+  for (const chart of charts) {
+    if (!bySheet.has(chart.sheet)) bySheet.set(chart.sheet, []);
+    bySheet.get(chart.sheet).push(chart);
+  }
+
+  for (const [sheetName, sheetCharts] of bySheet) {
+    const sheetPath = await findSheetPath(zip, sheetName);
+    if (!sheetPath) {
+      throw new Error(`Worksheet ${sheetName} not found`);
+    }
+
+    let sheetXml = await zip.file(sheetPath).async('string');
+    if (sheetXml.includes('<drawing ')) {
+      throw new Error(`Worksheet ${sheetName} already has a drawing`);
+    }
+
+    const drawingNumber = nextPartNumber(zip, 'xl/drawings/drawing');
+    const drawingRels = [];
+    const anchors = [];
+
+    for (const [i, chart] of sheetCharts.entries()) {
+      const chartNumber = nextPartNumber(zip, 'xl/charts/chart');
+      zip.file(`xl/charts/chart${chartNumber}.xml`, chartXml(chart));
+      contentTypes = contentTypes.replace('</Types>',
+        `<Override PartName="/xl/charts/chart${chartNumber}.xml" ContentType="${CT_CHART}"/></Types>`);
+
+      const relId = `rId${i + 1}`;
+      drawingRels.push({ id: relId, type: 'chart', target: `../charts/chart${chartNumber}.xml` });
+      anchors.push(anchorXml(chart, i, relId));
+    }
+
+    zip.file(`xl/drawings/drawing${drawingNumber}.xml`,
+      `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<xdr:wsDr xmlns:xdr="http://schemas.openxmlformats.org/drawingml/2006/spreadsheetDrawing" xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main" xmlns:r="${NS_REL}">${anchors.join('')}
+</xdr:wsDr>`);
+    zip.file(`xl/drawings/_rels/drawing${drawingNumber}.xml.rels`, relationshipsXml(drawingRels));
+    contentTypes = contentTypes.replace('</Types>',
+      `<Override PartName="/xl/drawings/drawing${drawingNumber}.xml" ContentType="${CT_DRAWING}"/></Types>`);
+
+    // Link the drawing from the sheet's relationships
+    const sheetDir = sheetPath.slice(0, sheetPath.lastIndexOf('/'));
+    const sheetFile = sheetPath.slice(sheetPath.lastIndexOf('/') + 1);
+    const sheetRelsPath = `${sheetDir}/_rels/${sheetFile}.rels`;
+    const drawingRelId = 'rIdCharts1';
+    const drawingRel = `<Relationship Id="${drawingRelId}" Type="${NS_REL}/drawing" Target="../drawings/drawing${drawingNumber}.xml"/>`;
+    const existingRels = zip.file(sheetRelsPath);
+    if (existingRels) {
+      const xml = await existingRels.async('string');
+      zip.file(sheetRelsPath, xml.replace('</Relationships>', `${drawingRel}</Relationships>`));
+    } else {
+      zip.file(sheetRelsPath, relationshipsXml([
+        { id: drawingRelId, type: 'drawing', target: `../drawings/drawing${drawingNumber}.xml` },
+      ]));
+    }
+
+    // <drawing> must come before these elements in a worksheet
+    const drawingTag = `<drawing r:id="${drawingRelId}"/>`;
+    const before = sheetXml.search(/<(legacyDrawing|legacyDrawingHF|picture|oleObjects|controls|webPublishItems|tableParts|extLst)\b/);
+    sheetXml = before >= 0
+      ? sheetXml.slice(0, before) + drawingTag + sheetXml.slice(before)
+      : sheetXml.replace('</worksheet>', `${drawingTag}</worksheet>`);
+    zip.file(sheetPath, sheetXml);
+  }
+
+  zip.file('[Content_Types].xml', contentTypes);
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+};
+
+module.exports = {
+  addLineCharts,
+};